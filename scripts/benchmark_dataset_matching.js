@@ -0,0 +1,166 @@
+/**
+ * Benchmark dataset matching: the old per-token lookups (up to two queries per
+ * token) against the batched single-query matchIngredientsWithDataset.
+ *
+ * Usage:
+ *   node scripts/benchmark_dataset_matching.js [--tokens 40] [--runs 20]
+ *
+ * The batched query also runs the normalized-name and fuzzy tiers the old
+ * lookups lacked, so the comparison is conservative.
+ *
+ * Tokens are real ingredient names and aliases drawn from dataset_rows, with
+ * about a quarter made-up names mixed in so misses are measured too.
+ * Needs a populated dataset (see scripts/import_dataset.js --sample).
+ */
+
+// Load environment variables (skip in production where env vars are already set)
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+// Keep the service's per-request debug logging out of the timings
+process.env.NODE_ENV = 'production';
+
+const db = require('../src/db');
+const { matchIngredientsWithDataset } = require('../src/services/datasetAnalysis.service');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = { tokens: 40, runs: 20 };
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--tokens' && args[i + 1]) {
+    options.tokens = parseInt(args[i + 1], 10);
+    i++;
+  } else if (args[i] === '--runs' && args[i + 1]) {
+    options.runs = parseInt(args[i + 1], 10);
+    i++;
+  }
+}
+
+/**
+ * Previous implementation: exact name query, then alias query, per token
+ * (against ingredient_aliases, which replaced the comma-separated column)
+ */
+async function matchPerToken(tokens) {
+  const client = await db.pool.connect();
+  let queries = 0;
+
+  try {
+    for (const token of tokens) {
+      const cleaned = token.trim().toLowerCase();
+      if (!cleaned) continue;
+
+      let result = await client.query(
+        `SELECT ingredient_name, risk_level, reason
+         FROM dataset_rows
+         WHERE LOWER(ingredient_name) = $1`,
+        [cleaned]
+      );
+      queries++;
+
+      if (result.rows.length === 0) {
+        result = await client.query(
+          `SELECT d.ingredient_name, d.risk_level, d.reason
+           FROM dataset_rows d
+           JOIN ingredient_aliases a ON a.ingredient_id = d.id
+           WHERE LOWER(a.alias) = $1`,
+          [cleaned]
+        );
+        queries++;
+      }
+    }
+  } finally {
+    client.release();
+  }
+
+  return queries;
+}
+
+/**
+ * Build a label-sized token list from the dataset
+ */
+async function buildTokens(count) {
+  const result = await db.pool.query(
+    `SELECT d.ingredient_name, (
+       SELECT a.alias FROM ingredient_aliases a WHERE a.ingredient_id = d.id ORDER BY a.id LIMIT 1
+     ) AS alias
+     FROM dataset_rows d
+     ORDER BY random()
+     LIMIT $1`,
+    [count]
+  );
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const tokens = [];
+  for (const [index, row] of result.rows.entries()) {
+    // Every third known token is looked up by one of its aliases
+    tokens.push(index % 3 === 2 && row.alias ? row.alias : row.ingredient_name);
+  }
+
+  const unknownCount = Math.max(1, Math.round(count / 4));
+  for (let i = 0; i < unknownCount; i++) {
+    tokens.splice(Math.floor(Math.random() * tokens.length), 0, `benchmark unknown ${i}`);
+  }
+
+  return tokens.slice(0, count);
+}
+
+async function time(fn) {
+  const start = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function stats(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const pick = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  const mean = samples.reduce((sum, s) => sum + s, 0) / samples.length;
+  return { mean, p50: pick(0.5), p95: pick(0.95) };
+}
+
+function formatStats({ mean, p50, p95 }) {
+  return `mean ${mean.toFixed(1)} ms, p50 ${p50.toFixed(1)} ms, p95 ${p95.toFixed(1)} ms`;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    const tokens = await buildTokens(options.tokens);
+    if (tokens.length === 0) {
+      console.error('❌ dataset_rows is empty - import a dataset first');
+      process.exit(1);
+    }
+
+    console.log(`\nMatching ${tokens.length} tokens, ${options.runs} runs each\n`);
+
+    // Warm up connections and query plans
+    const perTokenQueries = await matchPerToken(tokens);
+    await matchIngredientsWithDataset(tokens);
+
+    const perTokenSamples = [];
+    const batchedSamples = [];
+    for (let run = 0; run < options.runs; run++) {
+      perTokenSamples.push(await time(() => matchPerToken(tokens)));
+      batchedSamples.push(await time(() => matchIngredientsWithDataset(tokens)));
+    }
+
+    const perToken = stats(perTokenSamples);
+    const batched = stats(batchedSamples);
+
+    console.log(`Per-token (${perTokenQueries} queries): ${formatStats(perToken)}`);
+    console.log(`Batched   (1 query):   ${formatStats(batched)}`);
+    console.log(`Speed-up (mean): ${(perToken.mean / batched.mean).toFixed(1)}x`);
+
+    await db.pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
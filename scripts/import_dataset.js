@@ -5,8 +5,14 @@
  *   node scripts/import_dataset.js --file path/to/dataset.csv
  *   node scripts/import_dataset.js --json path/to/dataset.json
  *   node scripts/import_dataset.js --sample  (loads from src/data/ingredients.json)
+ *
+ * Add --dry-run to print the change set (new ingredients, risk level, reason and
+ * alias changes, skipped and rejected rows) without writing anything, and
+ * --apply <changeSetId> to import only if the change set is still the one a dry
+ * run printed under that id. A dry run doesn't migrate the database, so it stops
+ * with a message when migrations are pending (npm run migrate -- up).
  * 
- * CSV format expected:
+ * CSV format expected (aliases optional):
  *   ingredient_name,risk_level,reason,aliases
  * 
  * JSON format expected:
@@ -18,6 +24,17 @@
  *       "aliases": "methylparaben,propylparaben"
  *     }
  *   ]
+ * 
+ * In JSON, aliases may also be an array of strings or of { "alias", "type" }
+ * objects (type: inci, common, trade, cas, e_number). Untyped aliases get a
+ * guessed type. Aliases are stored in ingredient_aliases, replacing the
+ * ingredient's previous aliases.
+ *
+ * Each row is checked against the dataset schema (src/utils/datasetSchema.js):
+ * rows that break it (missing name, risk level or reason, duplicate name,
+ * alias claimed by another ingredient, ...) are reported with their line and
+ * left out; the rest are imported. Each import is recorded as a new dataset
+ * version (see GET /api/dataset/versions).
  */
 
 // Load environment variables (skip in production where env vars are already set)
@@ -33,6 +50,11 @@ console.log(`DATABASE_URL: ${process.env.DATABASE_URL ? 'SET' : 'NOT SET'}`);
 const fs = require('fs');
 const path = require('path');
 const { Pool } = require('pg');
+const { getStatus, migrateUp } = require('../src/db/migrator');
+const { missingColumns, validateDatasetRows } = require('../src/utils/datasetSchema');
+const datasetRepository = require('../src/repositories/dataset.repository');
+const datasetVersionRepository = require('../src/repositories/datasetVersion.repository');
+const { buildChangeSet, changedIngredientNames, changeSetId } = require('../src/utils/datasetChangeSet');
 
 // Build PostgreSQL config
 // 1) Use DATABASE_URL if provided
@@ -78,16 +100,38 @@ const connect = async () => {
   }
 };
 
-// Initialize schema
+// Bring the schema up to date, the same way the server does on boot (see src/db/migrator.js)
 const initSchema = async () => {
-  const schemaPath = path.join(__dirname, '..', 'src', 'db', 'schema.sql');
   try {
-    const sql = fs.readFileSync(schemaPath, 'utf8');
-    await pool.query(sql);
-    console.log('✅ Database schema ensured (schema.sql applied)');
+    const applied = await migrateUp(pool);
+    console.log(applied.length > 0
+      ? `✅ Database schema up to date (${applied.length} migration(s) applied)`
+      : '✅ Database schema up to date');
     return true;
   } catch (err) {
-    console.error('❌ Database schema initialization failed');
+    console.error('❌ Database schema migration failed');
+    console.error('Message:', err.message);
+    return false;
+  }
+};
+
+// A dry run doesn't migrate, so it needs a schema that already is: the ledger with
+// nothing pending, and the tables the change set is read from
+const checkSchema = async () => {
+  try {
+    const pending = (await getStatus(pool)).filter(entry => entry.state === 'pending');
+    const tables = await pool.query(
+      `SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NULL`,
+      [['dataset_rows', 'ingredient_aliases', 'dataset_versions']]
+    );
+    if (pending.length === 0 && tables.rows.length === 0) return true;
+    
+    console.error('❌ Database schema is not migrated; run migrations first: npm run migrate -- up');
+    if (pending.length > 0) console.error(`   Pending migrations: ${pending.map(entry => entry.file).join(', ')}`);
+    if (tables.rows.length > 0) console.error(`   Missing tables: ${tables.rows.map(row => row.name).join(', ')}`);
+    return false;
+  } catch (err) {
+    console.error('❌ Database schema check failed');
     console.error('Message:', err.message);
     return false;
   }
@@ -105,6 +149,11 @@ for (let i = 0; i < args.length; i++) {
     i++;
   } else if (args[i] === '--sample') {
     options.sample = true;
+  } else if (args[i] === '--dry-run') {
+    options.dryRun = true;
+  } else if (args[i] === '--apply' && args[i + 1]) {
+    options.changeSetId = args[i + 1];
+    i++;
   }
 }
 
@@ -140,37 +189,36 @@ async function loadFromCSV(filePath) {
   console.log(`Loading data from CSV: ${filePath}`);
   
   const content = fs.readFileSync(filePath, 'utf8');
-  const lines = content.split('\n').filter(line => line.trim());
+  // Keep file line numbers for the change set report
+  const lines = content.split('\n')
+    .map((text, index) => ({ text, number: index + 1 }))
+    .filter(line => line.text.trim());
   
   if (lines.length < 2) {
     throw new Error('CSV file must have header row and at least one data row');
   }
   
   // Parse header
-  const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase().replace(/\s+/g, '_'));
+  const headers = parseCSVLine(lines[0].text).map(h => h.toLowerCase().replace(/\s+/g, '_'));
   console.log('Headers:', headers);
   
   // Validate required headers
-  const requiredHeaders = ['ingredient_name', 'risk_level'];
-  for (const req of requiredHeaders) {
-    if (!headers.includes(req)) {
-      throw new Error(`Missing required header: ${req}`);
-    }
+  const missing = missingColumns(headers);
+  if (missing.length > 0) {
+    throw new Error(`Missing required header(s): ${missing.join(', ')}`);
   }
   
   // Parse data rows
   const data = [];
   for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const row = {};
+    const values = parseCSVLine(lines[i].text);
+    const row = { line: lines[i].number };
     
     headers.forEach((header, index) => {
       row[header] = values[index] || '';
     });
     
-    if (row.ingredient_name) {
-      data.push(row);
-    }
+    data.push(row);
   }
   
   return data;
@@ -189,7 +237,8 @@ async function loadFromJSON(filePath) {
     throw new Error('JSON file must contain an array of ingredients');
   }
   
-  return data;
+  // "line" is the 1-based position in the array
+  return data.map((row, index) => ({ ...row, line: index + 1 }));
 }
 
 /**
@@ -203,7 +252,8 @@ async function loadSampleData() {
   const ingredients = JSON.parse(content);
   
   // Convert from ingredients.json format to dataset_rows format
-  const data = Object.entries(ingredients).map(([name, info]) => ({
+  const data = Object.entries(ingredients).map(([name, info], index) => ({
+    line: index + 1,
     ingredient_name: name,
     risk_level: mapStatusToRiskLevel(info.status),
     reason: info.explanation,
@@ -229,65 +279,82 @@ function mapStatusToRiskLevel(status) {
   }
 }
 
+/**
+ * Print a change set
+ */
+function printChangeSet(changes, baseVersion, id) {
+  console.log(`\n📋 Change set ${id}`);
+  console.log(`   Against dataset version: ${baseVersion ?? 'none'}`);
+  
+  console.log(`   New ingredients: ${changes.added.length}`);
+  changes.added.forEach(c => console.log(`     + line ${c.line}: ${c.ingredientName} (${c.riskLevel})`));
+  console.log(`   Risk level changes: ${changes.riskChanged.length}`);
+  changes.riskChanged.forEach(c => console.log(`     ~ line ${c.line}: ${c.ingredientName}: ${c.from} -> ${c.to}`));
+  console.log(`   Reason changes: ${changes.reasonChanged.length}`);
+  changes.reasonChanged.forEach(c => console.log(`     ~ line ${c.line}: ${c.ingredientName}: "${c.from ?? ''}" -> "${c.to}"`));
+  console.log(`   Alias changes: ${changes.aliasesChanged.length}`);
+  changes.aliasesChanged.forEach(c => console.log(
+    `     ~ line ${c.line}: ${c.ingredientName}: [${c.from.map(a => a.alias).join(', ')}] -> [${c.to.map(a => a.alias).join(', ')}]`
+  ));
+  console.log(`   Unchanged: ${changes.unchanged}`);
+  console.log(`   Skipped: ${changes.skipped.length}`);
+  changes.skipped.forEach(c => console.log(`     - line ${c.line}: ${c.ingredientName}: ${c.reason}`));
+  console.log(`   Rejected: ${changes.errors.length}`);
+  changes.errors.forEach(c => console.log(`     ! line ${c.line}${c.ingredientName ? ` (${c.ingredientName})` : ''}: ${c.error}`));
+}
+
 /**
  * Import data into database
  */
-async function importData(data) {
+async function importData(data, description, { dryRun = false, changeSetId: expectedChangeSetId } = {}) {
   console.log(`Importing ${data.length} ingredients...`);
   
   const client = await pool.connect();
   
   try {
-    await client.query('BEGIN');
+    // What the import would change, against the current dataset
+    const current = await datasetRepository.loadCurrent(client);
+    const sourceRows = validateDatasetRows(data.map(row => ({ line: row.line, data: row })), current.rows);
+    const changes = buildChangeSet(sourceRows, current.rows);
+    const id = changeSetId(current.version, changes);
+    printChangeSet(changes, current.version, id);
+    
+    if (dryRun) {
+      console.log('\nDry run: nothing was written.');
+      console.log(`Apply exactly this change set with: --apply ${id}`);
+      return;
+    }
+    if (expectedChangeSetId && expectedChangeSetId !== id) {
+      throw new Error('The file or the dataset changed since the dry run; nothing was written. Run --dry-run again.');
+    }
     
-    let inserted = 0;
-    let updated = 0;
-    let skipped = 0;
+    await client.query('BEGIN');
+    await datasetVersionRepository.lockDataset(client);
     
-    for (const row of data) {
-      const ingredientName = row.ingredient_name?.trim();
-      const riskLevel = row.risk_level?.toUpperCase();
-      const reason = row.reason || '';
-      const aliases = row.aliases || '';
-      
-      if (!ingredientName || !riskLevel) {
-        console.warn(`Skipping row with missing data: ${JSON.stringify(row)}`);
-        skipped++;
-        continue;
-      }
-      
-      // Validate risk_level
-      if (!['LOW', 'MEDIUM', 'HIGH'].includes(riskLevel)) {
-        console.warn(`Invalid risk_level "${riskLevel}" for "${ingredientName}", defaulting to LOW`);
-      }
-      
-      // Upsert: update if exists, insert if not
-      const result = await client.query(
-        `INSERT INTO dataset_rows (ingredient_name, risk_level, reason, aliases, updated_at)
-         VALUES ($1, $2, $3, $4, NOW())
-         ON CONFLICT (ingredient_name) 
-         DO UPDATE SET 
-           risk_level = EXCLUDED.risk_level,
-           reason = EXCLUDED.reason,
-           aliases = EXCLUDED.aliases,
-           updated_at = NOW()
-         RETURNING (xmax = 0) AS inserted`,
-        [ingredientName, riskLevel, reason, aliases]
-      );
-      
-      if (result.rows[0].inserted) {
-        inserted++;
-      } else {
-        updated++;
-      }
+    if ((await datasetVersionRepository.getCurrentId(client)) !== current.version) {
+      throw new Error('The dataset changed during the import; nothing was written. Run the import again.');
     }
     
+    // Write only the ingredients the change set touches, as a sheet sync does
+    const changedNames = changedIngredientNames(changes);
+    const written = await datasetRepository.writeIngredients(
+      sourceRows
+        .filter(({ ingredient }) => ingredient && changedNames.has(ingredient.name))
+        .map(({ ingredient }) => ingredient),
+      client
+    );
+    
+    const version = await datasetVersionRepository.createSnapshot(client, { source: 'import', description });
+    
     await client.query('COMMIT');
     
     console.log('\n✅ Import complete!');
-    console.log(`   Inserted: ${inserted}`);
-    console.log(`   Updated: ${updated}`);
-    console.log(`   Skipped: ${skipped}`);
+    console.log(`   Dataset version: ${version.id} (${version.row_count} ingredients)`);
+    console.log(`   Inserted: ${written.inserted}`);
+    console.log(`   Updated: ${written.updated}`);
+    console.log(`   Unchanged: ${changes.unchanged}`);
+    console.log(`   Rejected: ${changes.errors.length}`);
+    console.log(`   Aliases: ${written.aliases}`);
     
   } catch (error) {
     await client.query('ROLLBACK');
@@ -333,29 +400,37 @@ async function main() {
       process.exit(1);
     }
     
-    // Initialize schema
-    await initSchema();
+    // Initialize schema (a dry run writes nothing, not even migrations)
+    if (!(await (options.dryRun ? checkSchema() : initSchema()))) {
+      process.exit(1);
+    }
     
     // Load data based on options
     let data;
+    let description;
     
     if (options.sample) {
       data = await loadSampleData();
+      description = 'Import of src/data/ingredients.json';
     } else if (options.file) {
       data = await loadFromCSV(options.file);
+      description = `Import of ${path.basename(options.file)}`;
     } else if (options.json) {
       data = await loadFromJSON(options.json);
+      description = `Import of ${path.basename(options.json)}`;
     } else {
       console.error('Please specify --file, --json, or --sample');
       console.log('Usage:');
       console.log('  node scripts/import_dataset.js --sample');
       console.log('  node scripts/import_dataset.js --file path/to/data.csv');
       console.log('  node scripts/import_dataset.js --json path/to/data.json');
+      console.log('  ... --dry-run                 Print the change set, write nothing');
+      console.log('  ... --apply <changeSetId>     Import only if the change set is unchanged');
       process.exit(1);
     }
     
     // Import data
-    await importData(data);
+    await importData(data, description, options);
     
     // Show stats
     await showStats();
@@ -0,0 +1,115 @@
+/**
+ * Database migration CLI (see src/db/migrator.js).
+ *
+ * Usage:
+ *   node scripts/migrate.js status             List migrations and whether they are applied
+ *   node scripts/migrate.js up [--to 012]      Apply pending migrations (up to a version)
+ *   node scripts/migrate.js down [--steps 2]   Roll back the last applied migration(s)
+ *   node scripts/migrate.js create <name>      Add empty NNN_<name>.sql and .down.sql files
+ *
+ * The API applies pending migrations on startup too; `up` is for running them
+ * ahead of a deploy.
+ */
+
+// Load environment variables (skip in production where env vars are already set)
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const path = require('path');
+const db = require('../src/db');
+const { getStatus, migrateUp, migrateDown, createMigration, MigrationError } = require('../src/db/migrator');
+
+// Parse command line arguments
+const [command, ...args] = process.argv.slice(2);
+const options = { steps: 1 };
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--to' && args[i + 1]) {
+    options.to = args[i + 1];
+    i++;
+  } else if (args[i] === '--steps' && args[i + 1]) {
+    options.steps = parseInt(args[i + 1], 10);
+    i++;
+  } else {
+    positional.push(args[i]);
+  }
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/migrate.js status');
+  console.log('  node scripts/migrate.js up [--to <version>]');
+  console.log('  node scripts/migrate.js down [--steps <n>]');
+  console.log('  node scripts/migrate.js create <name>');
+}
+
+async function showStatus() {
+  const status = await getStatus(db.pool);
+
+  console.log('\n📋 Migrations:');
+  console.log('--------------');
+  for (const entry of status) {
+    const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '';
+    const label = entry.file || `${entry.version}_${entry.name}.sql`;
+    const down = entry.hasDown ? 'down' : entry.irreversible ? 'irreversible' : '';
+    console.log(`   ${entry.state.padEnd(8)} ${label.padEnd(45)} ${down.padEnd(12)} ${appliedAt}`);
+  }
+
+  const counts = status.reduce((acc, entry) => ({ ...acc, [entry.state]: (acc[entry.state] || 0) + 1 }), {});
+  console.log(`\n   ${Object.entries(counts).map(([state, count]) => `${state}: ${count}`).join(', ') || 'no migrations'}`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  if (command === 'create') {
+    try {
+      const { up, down } = createMigration(positional.join(' '));
+      console.log(`✅ Created ${path.relative(process.cwd(), up)}`);
+      console.log(`✅ Created ${path.relative(process.cwd(), down)}`);
+      process.exit(0);
+    } catch (error) {
+      console.error('❌ Could not create migration:', error.message);
+      process.exit(1);
+    }
+  }
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    printUsage();
+    process.exit(1);
+  }
+
+  if (command === 'down' && !(options.steps > 0)) {
+    console.error('❌ --steps must be a positive number');
+    process.exit(1);
+  }
+
+  const connected = await db.connect();
+  if (!connected) {
+    console.error('❌ Database connection failed');
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'status') {
+      await showStatus();
+    } else if (command === 'up') {
+      const applied = await migrateUp(db.pool, { to: options.to });
+      console.log(applied.length ? `\n✅ Applied ${applied.length} migration(s)` : '\n✅ Nothing to apply');
+    } else {
+      const rolledBack = await migrateDown(db.pool, { steps: options.steps });
+      console.log(`\n✅ Rolled back ${rolledBack.length} migration(s)`);
+    }
+
+    await db.pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${error instanceof MigrationError ? '' : 'Migration failed: '}${error.message}`);
+    await db.pool.end().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,199 @@
+/**
+ * Local stub of the OpenAI and OCR.Space APIs for integration tests: answers
+ * in their wire formats from the same fixtures as the mock OCR engine and AI
+ * provider (OCR_MOCK_FIXTURE, AI_MOCK_FIXTURE), so the real adapters run
+ * end to end without network access or API keys.
+ *
+ * Usage:
+ *   node scripts/mock_provider_server.js [--port 4010]
+ *
+ * Then point the backend at it:
+ *   AI_PROVIDER=openai AI_BASE_URL=http://localhost:4010/v1 AI_API_KEY=test
+ *   OCR_ENGINE=ocrspace OCR_SPACE_API_URL=http://localhost:4010/parse/image OCR_SPACE_API_KEY=test
+ *
+ * Endpoints:
+ *   GET  /v1/models             - OpenAI model list
+ *   POST /v1/chat/completions   - OpenAI chat completion; classifies the ingredients in the prompt
+ *   POST /parse/image           - OCR.Space parse (multipart "file" or "base64Image")
+ *
+ * OCR.Space only receives the preprocessed image, always uploaded as
+ * "image.jpg", so fixtures are matched by the sha256 of the bytes it is sent
+ * (disable preprocessing with an empty IMAGE_PREPROCESS_STEPS to use the hash
+ * of the original file) or fall back to the fixture default, which the shipped
+ * fixtures/mock-ocr.json sets. Tests can also require this module and call
+ * createMockProviderApp() to mount the stub in-process.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const mockOcr = require('../src/services/ocrEngines/mock.engine');
+const mockAI = require('../src/services/aiProviders/mock.provider');
+
+const DEFAULT_PORT = 4010;
+const MAX_BODY_SIZE = '20mb';
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body
+ * @param {string} contentType - Request Content-Type, holding the boundary
+ * @returns {Object} - Parts keyed by field name: { filename, data }
+ */
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!boundary) return {};
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const parts = {};
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Each part: CRLF, headers, blank line, content, CRLF before the next delimiter
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const name = /name="([^"]*)"/i.exec(headers);
+      const filename = /filename="([^"]*)"/i.exec(headers);
+      if (name) {
+        parts[name[1]] = { filename: filename ? filename[1] : null, data: part.subarray(headerEnd + 4) };
+      }
+    }
+    start = next;
+  }
+  return parts;
+}
+
+// Shared OCR layout lines -> OCR.Space TextOverlay lines
+function toOverlayLines(lines) {
+  return lines.map(line => ({
+    LineText: line.text,
+    Words: (line.words || []).map(word => ({
+      WordText: word.text,
+      Left: word.box?.x ?? 0,
+      Top: word.box?.y ?? 0,
+      Width: word.box?.width ?? 0,
+      Height: word.box?.height ?? 0,
+    })),
+  }));
+}
+
+function ocrSpaceError(message) {
+  return {
+    ParsedResults: [],
+    OCRExitCode: 99,
+    IsErroredOnProcessing: true,
+    ErrorMessage: [message],
+  };
+}
+
+/**
+ * Build the stub app
+ * @returns {express.Application}
+ */
+function createMockProviderApp() {
+  const app = express();
+
+  app.get('/v1/models', (req, res) => {
+    res.json({ object: 'list', data: [{ id: mockAI.defaultModel, object: 'model', owned_by: 'safescan-mock' }] });
+  });
+
+  app.post('/v1/chat/completions', express.json({ limit: MAX_BODY_SIZE }), (req, res) => {
+    const messages = Array.isArray(req.body?.messages) ? req.body.messages : [];
+    const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+    if (!prompt) {
+      return res.status(400).json({ error: { message: 'messages must include a user message', type: 'invalid_request_error' } });
+    }
+
+    let content;
+    try {
+      content = JSON.stringify({ classifications: mockAI.classify(mockAI.parsePromptIngredients(prompt)) });
+    } catch (error) {
+      console.error('[MockServer] AI fixture error:', error.message);
+      return res.status(500).json({ error: { message: error.message, type: 'server_error' } });
+    }
+
+    res.json({
+      id: `chatcmpl-mock-${crypto.randomUUID()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: req.body.model || mockAI.defaultModel,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    });
+  });
+
+  app.post('/parse/image', express.raw({ type: 'multipart/form-data', limit: MAX_BODY_SIZE }), (req, res) => {
+    const parts = Buffer.isBuffer(req.body) ? parseMultipart(req.body, req.headers['content-type']) : {};
+    if (!parts.apikey || parts.apikey.data.length === 0) {
+      return res.json(ocrSpaceError('No API key provided'));
+    }
+
+    let image = parts.file?.data;
+    if (!image && parts.base64Image) {
+      image = Buffer.from(parts.base64Image.data.toString('utf8').replace(/^data:[^,]*,/, ''), 'base64');
+    }
+    if (!image || image.length === 0) {
+      return res.json(ocrSpaceError('No file or base64Image provided'));
+    }
+
+    let result;
+    try {
+      result = mockOcr.lookup(image, { filename: parts.file?.filename });
+    } catch (error) {
+      console.error('[MockServer] OCR fixture error:', error.message);
+      return res.json(ocrSpaceError(error.message));
+    }
+
+    if (!result) {
+      return res.json({ ParsedResults: [], OCRExitCode: 1, IsErroredOnProcessing: false });
+    }
+    res.json({
+      ParsedResults: [{
+        TextOverlay: { Lines: toOverlayLines(result.lines), HasOverlay: result.lines.length > 0 },
+        FileParseExitCode: 1,
+        ParsedText: result.text,
+        ErrorMessage: '',
+      }],
+      OCRExitCode: 1,
+      IsErroredOnProcessing: false,
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `No mock for ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  let port = parseInt(process.env.MOCK_SERVER_PORT || DEFAULT_PORT, 10);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && args[i + 1]) {
+      port = parseInt(args[i + 1], 10);
+      i++;
+    }
+  }
+
+  const server = createMockProviderApp().listen(port, () => {
+    console.log(`Mock OpenAI / OCR.Space server listening on http://localhost:${server.address().port}`);
+  });
+
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createMockProviderApp,
+};
@@ -0,0 +1,44 @@
+/**
+ * Standalone async scan worker: processes jobs queued by POST /api/scan?async=true
+ * (and /multi, /analyze) from the scan_jobs table.
+ *
+ * Usage:
+ *   node scripts/scan_worker.js
+ *
+ * Run as many as needed; they share the queue. Set SCAN_WORKER_ENABLED=false on
+ * the API to leave all processing to these workers. Stops on SIGINT/SIGTERM
+ * after finishing the jobs in progress.
+ */
+
+// Load environment variables (skip in production where env vars are already set)
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const db = require('../src/db');
+const { startScanWorker, stopScanWorker } = require('../src/services/scanJobs.service');
+
+async function shutdown(signal) {
+  console.log(`\n${signal} received, finishing jobs in progress...`);
+  await stopScanWorker();
+  await db.pool.end();
+  process.exit(0);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const connected = await db.connect();
+  if (!connected) {
+    console.error('❌ Database connection failed');
+    process.exit(1);
+  }
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  startScanWorker();
+}
+
+main();
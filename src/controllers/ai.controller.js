@@ -1,4 +1,5 @@
 const { explainIngredients, checkHealth } = require('../services/aiExplain.service');
+const { invalidateClassifications } = require('../services/aiCache.service');
 
 /**
  * GET /api/aiAction/health
@@ -63,3 +64,27 @@ exports.explainIngredients = async (req, res) => {
     });
   }
 };
+
+/**
+ * DELETE /api/aiAction/cache
+ * Invalidate cached AI classifications
+ * Protected route (requires JWT Bearer token of an ADMIN_EMAILS user)
+ *
+ * Query (all optional, combined with AND - none clears the whole cache):
+ *   name, model, promptVersion
+ *
+ * Response:
+ * { "deleted": 12 }
+ */
+exports.invalidateCache = async (req, res) => {
+  const { name, model, promptVersion } = req.query;
+
+  try {
+    const deleted = await invalidateClassifications({ name, model, promptVersion });
+    console.log(`[AICache] Invalidated ${deleted} entries by user ${req.user.id}`);
+    res.json({ deleted });
+  } catch (error) {
+    console.error('AI cache invalidation error:', error.message);
+    res.status(500).json({ error: 'Failed to invalidate AI cache' });
+  }
+};
@@ -11,18 +11,66 @@ const getDataset = async (req, res, next) => {
 
 const syncDataset = async (req, res, next) => {
   try {
-    const { sheetId, range, useCsvFallback } = req.body;
+    const { sheetId, range, useCsvFallback, dryRun, changeSetId } = req.body;
     if (!sheetId) {
       return res.status(400).json({ error: 'sheetId is required' });
     }
-    const result = await datasetService.sync(sheetId, range, useCsvFallback);
+    const result = await datasetService.sync(sheetId, range, useCsvFallback, {
+      createdBy: req.user.id,
+      dryRun: dryRun === true,
+      changeSetId,
+    });
     res.json(result);
   } catch (error) {
     next(error);
   }
 };
 
+const listVersions = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const data = await datasetService.listVersions({ page, limit });
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const diffVersions = async (req, res, next) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to === undefined ? undefined : parseInt(req.query.to, 10);
+    const diff = await datasetService.diffVersions(from, to);
+    if (!diff) {
+      return res.status(404).json({ error: 'Dataset version not found' });
+    }
+    res.json(diff);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin only: restores the dataset the analyzer uses for every scan
+const rollbackVersion = async (req, res, next) => {
+  try {
+    const versionId = parseInt(req.params.version, 10);
+    if (!Number.isInteger(versionId) || versionId < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+    const version = await datasetService.rollback(versionId, req.user.id);
+    if (!version) {
+      return res.status(404).json({ error: 'Dataset version not found' });
+    }
+    res.json(version);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getDataset,
   syncDataset,
+  listVersions,
+  diffVersions,
+  rollbackVersion,
 };
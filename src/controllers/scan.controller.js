@@ -1,31 +1,30 @@
-const ocr = require('../services/ocr.service');
-const analyzeRuleBased = require('../services/ingredientAnalysis.service');
-const { analyzeWithAI } = require('../services/aiModel.service');
-const { 
-  analyzeTextWithDataset, 
-  isDatasetAvailable, 
-  mapRiskLevelToScanRisk, 
-  matchIngredientsWithDataset
-} = require('../services/datasetAnalysis.service');
-const { extractIngredientsSection, parseIngredientTokens } = require('../utils/extractIngredientsSection');
-const { explainIngredients, explainIngredientsBatched, isApiKeyConfigured } = require('../services/aiExplain.service');
-const db = require('../db');
-
-// Maximum number of ingredients to send to AI at once
-const MAX_AI_INGREDIENTS = parseInt(process.env.MAX_AI_INGREDIENTS || '25', 10);
+const { isSupportedLanguage, SUPPORTED_LANGUAGES } = require('../utils/labelLanguages');
+const {
+  runImageScan,
+  runMultiImageScan,
+  runTextScan,
+  ScanError,
+  SCAN_DEADLINE_MS
+} = require('../services/scanPipeline.service');
+const { enqueueScanJob, validateWebhookUrl } = require('../services/scanJobs.service');
+
+// Interval between keep-alive comments on scan event streams
+const SSE_KEEPALIVE_MS = 15000;
 
 /**
  * POST /api/scan
  * multipart/form-data: image=<file>
- * Optional: productCategory (string)
+ * Optional: productCategory (string), language (en|fr|pt|es|de|af - detected when omitted)
  * Returns extractedText + analysis.
+ * With ?async=true: queues the scan and returns 202 with a job ID (see GET /api/scan/jobs/:id);
+ * optional webhookUrl field is POSTed the result when the job finishes.
  * 
  * Public endpoint - works for guests and authenticated users
  * If authenticated: saves scan to history
  * If guest: returns results without saving
  */
 exports.scanImage = async (req, res) => {
-  const client = await db.pool.connect();
+  const deadline = Date.now() + SCAN_DEADLINE_MS;
   
   // DEBUG: Log auth info
   console.log('[ScanController] Authorization header:', req.headers.authorization);
@@ -47,200 +46,103 @@ exports.scanImage = async (req, res) => {
       });
     }
 
-    let extractedText;
-    try {
-      extractedText = await ocr(req.file.buffer);
-    } catch (ocrError) {
-      console.error('OCR processing error:', ocrError.message);
-      
-      // Handle specific OCR error codes from OCR.Space
-      if (ocrError.code === 'OCR_NOT_CONFIGURED') {
-        return res.status(503).json({
-          error: 'OCR service not configured',
-          details: 'Please set OCR_SPACE_API_KEY in environment variables',
-          requestId: req.id,
-        });
-      }
-      
-      if (ocrError.code === 'OCR_DAILY_LIMIT') {
-        return res.status(503).json({
-          error: 'OCR daily limit exceeded',
-          details: 'OCR.Space free API daily limit reached. Try again tomorrow.',
-          requestId: req.id,
-        });
-      }
-      
-      if (ocrError.code === 'OCR_AUTH_FAILED') {
-        return res.status(503).json({
-          error: 'OCR API key invalid',
-          details: 'Please check your OCR_SPACE_API_KEY',
-          requestId: req.id,
-        });
-      }
-      
-      if (ocrError.code === 'OCR_NETWORK_ERROR') {
-        return res.status(503).json({
-          error: 'OCR service unavailable',
-          details: 'Network error connecting to OCR service',
-          requestId: req.id,
-        });
-      }
-      
-      if (ocrError.code === 'OCR_TIMEOUT') {
-        return res.status(503).json({
-          error: 'OCR service timed out',
-          details: 'The image took too long to process. Try a smaller image.',
-          requestId: req.id,
-        });
-      }
-      
-      if (ocrError.code === 'OCR_FAILED') {
-        if (ocrError.response?.data) {
-          console.error('OCR API error response:', JSON.stringify(ocrError.response.data));
-        }
-        return res.status(500).json({
-          error: 'OCR processing failed',
-          details: ocrError.message || 'Failed to extract text from image',
-          requestId: req.id,
-        });
-      }
-      
-      return res.status(500).json({
-        error: 'Scan processing failed',
-        details: 'OCR extraction failed',
-        requestId: req.id,
-      });
+    const { language: requestedLanguage, error: languageError } = readRequestedLanguage(req);
+    if (languageError) {
+      return res.status(400).json({ error: languageError, requestId: req.id });
+    }
+
+    // Get productCategory from body
+    const productCategory = req.body.productCategory || null;
+    const input = { language: requestedLanguage, productCategory };
+
+    if (isAsyncRequest(req)) {
+      return await queueScan(req, res, { type: 'image', userId, input, files: [req.file] });
+    }
+
+    const response = await runImageScan({ ...input, file: req.file, userId, deadline });
+    res.json(response);
+  } catch (e) {
+    if (e instanceof ScanError) {
+      return res.status(e.status).json({ ...e.body, requestId: req.id });
     }
 
-    // If OCR returns empty/garbage, return a friendly message
-    if (!extractedText || extractedText.length < 3) {
-      return res.status(422).json({
-        error: 'Unable to read the label text. Try better lighting, move closer, or hold the camera steady.',
+    console.error('Scan image error:', e.message);
+    
+    return res.status(500).json({
+      error: 'Scan processing failed',
+      details: 'An unexpected error occurred',
+      requestId: req.id,
+    });
+  }
+};
+
+/**
+ * POST /api/scan/multi
+ * multipart/form-data: images=<file> (repeat up to MAX_SCAN_IMAGES times, in capture order)
+ * Optional: productCategory (string), language (en|fr|pt|es|de|af - detected when omitted)
+ * For labels that wrap around a container: OCRs each photo, stitches the text
+ * (dropping lines repeated between photos) and analyzes the merged ingredient list once.
+ * Supports ?async=true like POST /api/scan.
+ * 
+ * Public endpoint - works for guests and authenticated users
+ * If authenticated: saves one scan referencing every source image
+ * If guest: returns results without saving
+ */
+exports.scanImages = async (req, res) => {
+  const deadline = Date.now() + SCAN_DEADLINE_MS;
+
+  const userId = req.user?.id ?? req.user?.userId ?? req.user?.sub ?? null;
+
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: "At least one image is required. Use multipart/form-data with key 'images'.",
         requestId: req.id,
       });
     }
 
-    // Extract ingredients section from OCR text
-    const ingredientsText = extractIngredientsSection(extractedText);
+    const { language: requestedLanguage, error: languageError } = readRequestedLanguage(req);
+    if (languageError) {
+      return res.status(400).json({ error: languageError, requestId: req.id });
+    }
 
-    // Get productCategory from body
     const productCategory = req.body.productCategory || null;
+    const input = { language: requestedLanguage, productCategory };
 
-    // Perform full analysis: dataset + AI for unmatched
-    const analysis = await performFullAnalysis(ingredientsText);
-
-    let scanId = null;
-    let saved = false;
-    let saveError = null;
-
-    // Only save to database if user is authenticated
-    if (isAuthenticated) {
-      try {
-        // Save scan to database within a transaction
-        await client.query('BEGIN');
-
-        // Determine overall risk level
-        const overallRisk = analysis.risk_level;
-
-        // Insert scan record
-        const scanResult = await client.query(
-          'INSERT INTO scans (user_id, image_path, ocr_text, product_category, overall_risk) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-          [userId, req.file ? req.file.originalname : null, extractedText, productCategory, overallRisk]
-        );
-        scanId = scanResult.rows[0].id;
-
-        // Insert scan_ingredients for each analyzed ingredient
-        const allIngredients = analysis.ingredients || [];
-        if (allIngredients.length > 0) {
-          for (const result of allIngredients) {
-            // Determine risk value for database
-            const riskValue = mapStatusToDbValue(result.status);
-            
-            // Try to find existing ingredient or insert new
-            let ingredientResult = await client.query(
-              'SELECT id FROM ingredients WHERE LOWER(name) = LOWER($1)',
-              [result.name]
-            );
-
-            let ingredientId;
-            if (ingredientResult.rows.length === 0) {
-              const newIngredient = await client.query(
-                'INSERT INTO ingredients (name, normalized_name, risk) VALUES ($1, $2, $3) RETURNING id',
-                [result.name, result.name.toLowerCase(), riskValue]
-              );
-              ingredientId = newIngredient.rows[0].id;
-            } else {
-              ingredientId = ingredientResult.rows[0].id;
-            }
-
-            // Insert scan_ingredient relationship
-            await client.query(
-              'INSERT INTO scan_ingredients (scan_id, ingredient_id, raw_text, risk) VALUES ($1, $2, $3, $4)',
-              [scanId, ingredientId, result.name, riskValue]
-            );
-          }
-        }
-
-        await client.query('COMMIT');
-        saved = true;
-      } catch (dbError) {
-        await client.query('ROLLBACK').catch(() => {});
-        // Robust logging for DB save failures
-        const errorMsg = dbError.message || 'Unknown error';
-        const errorCode = dbError.code || 'UNKNOWN_CODE';
-        const errorDetail = dbError.detail || '';
-        console.warn(`DB save failed: ${errorMsg}, code: ${errorCode}, detail: ${errorDetail}`);
-        saveError = `${errorMsg}${errorDetail ? ' - ' + errorDetail : ''}`;
-        saved = false;
-      }
+    if (isAsyncRequest(req)) {
+      return await queueScan(req, res, { type: 'multi', userId, input, files });
     }
 
-    const response = {
-      scanId,
-      saved,
-      mode,
-      extractedText,
-      ingredientsText,
-      productCategory,
-      risk_level: analysis.risk_level,
-      overallRisk: analysis.risk_level,
-      ingredients: analysis.ingredients,
-      summary: analysis.summary,
-      source: analysis.source,
-      disclaimer:
-        'SafeScan provides informational guidance only and is not medical advice. If you have a reaction or concern, consult a healthcare professional.',
-    };
-    
-    // Include saveError for debugging when saved is false
-    if (!saved && saveError) {
-      response.saveError = saveError;
-    }
-    
+    const response = await runMultiImageScan({ ...input, files, userId, deadline });
     res.json(response);
   } catch (e) {
-    console.error('Scan image error:', e.message);
-    
+    if (e instanceof ScanError) {
+      return res.status(e.status).json({ ...e.body, requestId: req.id });
+    }
+
+    console.error('Scan images error:', e.message);
+
     return res.status(500).json({
       error: 'Scan processing failed',
       details: 'An unexpected error occurred',
       requestId: req.id,
     });
-  } finally {
-    client.release();
   }
 };
 
 /**
  * POST /api/scan/analyze
- * JSON: { text: "...", productCategory: "..." }
+ * JSON: { text: "...", productCategory: "...", language: "fr" (optional - detected when omitted) }
  * Use this after the user edits OCR text on the frontend.
+ * Supports ?async=true like POST /api/scan.
  * 
  * Public endpoint - works for guests and authenticated users
  * If authenticated: saves scan to history
  * If guest: returns results without saving
  */
 exports.analyzeText = async (req, res, next) => {
-  const client = await db.pool.connect();
+  const deadline = Date.now() + SCAN_DEADLINE_MS;
   
   // DEBUG: Log auth info
   console.log('[ScanController] Authorization header:', req.headers.authorization);
@@ -265,360 +167,169 @@ exports.analyzeText = async (req, res, next) => {
       });
     }
 
-    // Extract ingredients section from text
-    const ingredientsText = extractIngredientsSection(text);
-
-    // Perform full analysis with dataset + AI
-    const analysis = await performFullAnalysis(ingredientsText);
-
-    let scanId = null;
-    let saved = false;
-    let saveError = null;
-    
-    // Only save to database if user is authenticated
-    if (isAuthenticated) {
-      try {
-        await client.query('BEGIN');
-        
-        // Determine overall risk level
-        const overallRisk = analysis.risk_level;
-
-        // Insert scan record with productCategory
-        const scanResult = await client.query(
-          'INSERT INTO scans (user_id, ocr_text, product_category, overall_risk) VALUES ($1, $2, $3, $4) RETURNING id',
-          [userId, text, productCategory || null, overallRisk]
-        );
-        scanId = scanResult.rows[0].id;
-
-        // Insert scan_ingredients for each analyzed ingredient
-        const allIngredients = analysis.ingredients || [];
-        
-        if (allIngredients.length > 0) {
-          for (const ing of allIngredients) {
-            // Map risk to database value
-            const scanRisk = mapStatusToDbValue(ing.status);
-            
-            // Try to find existing ingredient or insert new
-            let ingredientResult = await client.query(
-              'SELECT id FROM ingredients WHERE LOWER(name) = LOWER($1)',
-              [ing.name]
-            );
-
-            let ingredientId;
-            if (ingredientResult.rows.length === 0) {
-              const newIngredient = await client.query(
-                'INSERT INTO ingredients (name, normalized_name, risk) VALUES ($1, $2, $3) RETURNING id',
-                [ing.name, ing.name.toLowerCase(), scanRisk]
-              );
-              ingredientId = newIngredient.rows[0].id;
-            } else {
-              ingredientId = ingredientResult.rows[0].id;
-            }
-
-            // Insert scan_ingredient relationship
-            await client.query(
-              'INSERT INTO scan_ingredients (scan_id, ingredient_id, raw_text, risk) VALUES ($1, $2, $3, $4)',
-              [scanId, ingredientId, ing.name, scanRisk]
-            );
-          }
-        }
-
-        await client.query('COMMIT');
-        saved = true;
-      } catch (dbError) {
-        await client.query('ROLLBACK').catch(() => {});
-        // Robust logging for DB save failures
-        const errorMsg = dbError.message || 'Unknown error';
-        const errorCode = dbError.code || 'UNKNOWN_CODE';
-        const errorDetail = dbError.detail || '';
-        console.warn(`DB save failed: ${errorMsg}, code: ${errorCode}, detail: ${errorDetail}`);
-        saveError = `${errorMsg}${errorDetail ? ' - ' + errorDetail : ''}`;
-        saved = false;
-      }
+    const { language: requestedLanguage, error: languageError } = readRequestedLanguage(req);
+    if (languageError) {
+      return res.status(400).json({ error: languageError });
     }
 
-    // Build response with all ingredients in order
-    const response = {
-      scanId,
-      saved,
-      mode,
-      extractedText: text,
-      ingredientsText,
-      productCategory: productCategory || null,
-      risk_level: analysis.risk_level,
-      overallRisk: analysis.risk_level,
-      ingredients: analysis.ingredients,
-      summary: analysis.summary,
-      source: analysis.source,
-      disclaimer:
-        'SafeScan provides informational guidance only and is not medical advice. If you have a reaction or concern, consult a healthcare professional.',
-    };
-    
-    // Include saveError for debugging when saved is false
-    if (!saved && saveError) {
-      response.saveError = saveError;
+    const input = { language: requestedLanguage, productCategory };
+
+    if (isAsyncRequest(req)) {
+      return await queueScan(req, res, { type: 'text', userId, input: { ...input, text } });
     }
 
+    const response = await runTextScan({ ...input, text, userId, deadline });
     res.json(response);
   } catch (e) {
+    if (e instanceof ScanError) {
+      return res.status(e.status).json(e.body);
+    }
+
     console.error(`Analyze text error: ${e.message}`);
     res.status(500).json({
       error: 'An error occurred while analyzing the text. Please try again.',
     });
-  } finally {
-    client.release();
   }
 };
 
 /**
- * Perform full analysis: dataset + AI for unmatched ingredients
- * Returns ingredients in the SAME order as parsed tokens
- * @param {string} text - Ingredient text to analyze
- * @returns {Promise<Object>} - Analysis result with all ingredients classified
+ * POST /api/scan/analyze/stream
+ * Same request as POST /api/scan/analyze, answered with Server-Sent Events so
+ * results can be rendered as they arrive:
+ * - stage: { stage } as each pipeline stage starts (extraction, dataset, ai, saved)
+ * - tokens: { ingredients } parsed from the text, before classification
+ * - dataset: { ingredients } matched in the dataset
+ * - model: { ingredients } classified by our model service (AI_CLASSIFIER model or both)
+ * - ai: { batch, cached, ingredients } per AI batch (cached: from the classification cache)
+ * - result: the full response of POST /api/scan/analyze (summary, overall risk, every ingredient)
+ * - error: { error } if the analysis fails; the stream then ends
+ * Partial ingredients carry their position in the ingredient list.
  */
-async function performFullAnalysis(text) {
-  // Step 1: Parse ingredients into tokens (preserves order) and clean them
-  let tokens = parseIngredientTokens(text)
-    .map(t => t.trim())
-    .filter(t => t.length > 1);
-  
-  if (!tokens || tokens.length === 0) {
-    return createEmptyAnalysisResult();
-  }
+exports.analyzeTextStream = async (req, res) => {
+  const deadline = Date.now() + SCAN_DEADLINE_MS;
+  const userId = req.user?.id ?? req.user?.userId ?? req.user?.sub ?? null;
 
-  // Step 2: Try dataset analysis to get known and unknown
-  let knownResults = [];
-  let unknownNames = [];
-  let datasetAvailable = false;
-  
-  try {
-    datasetAvailable = await isDatasetAvailable();
-    if (datasetAvailable) {
-      const result = await matchIngredientsWithDataset(tokens);
-      knownResults = result.knownResults || [];
-      unknownNames = result.unknownNames || [];
-    } else {
-      // Dataset not available - all are unknown
-      unknownNames = [...tokens];
-    }
-  } catch (datasetError) {
-    console.warn(`Dataset match failed: ${datasetError.message}`);
-    // If dataset fails, treat all as unknown
-    unknownNames = [...tokens];
+  const productCategory = req.body.productCategory || req.body.product_category || null;
+  const { text } = req.body || {};
+
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({
+      error: 'Text is required',
+    });
   }
 
-  // Step 3: AI classify unknown ingredients (if any and AI is configured)
-  // Use explainIngredientsBatched for automatic deduplication and batching
-  let aiResults = [];
-  
-  if (unknownNames.length > 0 && isApiKeyConfigured()) {
-    try {
-      // Use the batched function which handles deduplication and batching automatically
-      const aiResponse = await explainIngredientsBatched(unknownNames, MAX_AI_INGREDIENTS);
-      
-      if (aiResponse && Array.isArray(aiResponse)) {
-        aiResults = aiResponse.map(aiResult => ({
-          name: aiResult.name,
-          status: mapAIStatusToStatus(aiResult.status),
-          reason: aiResult.explanation || '',
-          source: 'ai'
-        }));
-      }
-    } catch (aiError) {
-      console.warn(`AI classification failed: ${aiError.message}`);
-      // Don't crash - those ingredients will be marked as Unknown
-    }
+  const { language: requestedLanguage, error: languageError } = readRequestedLanguage(req);
+  if (languageError) {
+    return res.status(400).json({ error: languageError });
   }
 
-  // Step 4: Build final ingredients array in SAME order as tokens
-  const finalIngredients = [];
-  
-  for (const token of tokens) {
-    const tokenLower = token.toLowerCase().trim();
-    
-    // Check if this token was matched in dataset - strict matching only
-    const datasetMatch = knownResults.find(k =>
-      k.name.toLowerCase().trim() === tokenLower
-    );
-    
-    if (datasetMatch) {
-      finalIngredients.push({
-        name: datasetMatch.name,
-        status: datasetMatch.status,
-        reason: datasetMatch.reason,
-        source: 'dataset'
-      });
-      continue;
-    }
-    
-    // Check if this token was classified by AI - normalized comparison
-    const aiMatch = aiResults.find(a =>
-      a.name.toLowerCase().trim() === tokenLower
+  const stream = openEventStream(req, res);
+  let batch = 0;
+
+  try {
+    const response = await runTextScan(
+      { language: requestedLanguage, productCategory, text, userId, deadline },
+      {
+        onStage: (stage) => stream.send('stage', { stage }),
+        onTokens: (ingredients) => stream.send('tokens', { ingredients }),
+        onIngredients: (kind, ingredients, { cached = false } = {}) => {
+          if (kind === 'dataset' || kind === 'model') {
+            stream.send(kind, { ingredients });
+          } else {
+            batch++;
+            stream.send('ai', { batch, cached, ingredients });
+          }
+        },
+      }
     );
-    
-    if (aiMatch) {
-      finalIngredients.push({
-        name: aiMatch.name,
-        status: aiMatch.status,
-        reason: aiMatch.reason,
-        source: 'ai'
-      });
-      continue;
+    stream.send('result', response);
+  } catch (e) {
+    if (e instanceof ScanError) {
+      stream.send('error', e.body);
+    } else {
+      console.error(`Analyze text stream error: ${e.message}`);
+      stream.send('error', { error: 'An error occurred while analyzing the text. Please try again.' });
     }
-    
-    // Not found anywhere - mark as Unknown
-    finalIngredients.push({
-      name: token,
-      status: 'Unknown',
-      reason: 'Not found in dataset and AI classification unavailable or failed',
-      source: 'unknown'
-    });
+  } finally {
+    stream.end();
   }
+};
 
-  // Step 5: Calculate summary counts
-  const summary = {
-    safeCount: finalIngredients.filter(ing => ing.status === 'Safe').length,
-    riskyCount: finalIngredients.filter(ing => ing.status === 'Risky').length,
-    restrictedCount: finalIngredients.filter(ing => ing.status === 'Restricted').length,
-    unknownCount: finalIngredients.filter(ing => ing.status === 'Unknown').length
-  };
-
-  // Step 6: Determine overall risk level (highest severity)
-  let risk_level = 'LOW';
-  if (finalIngredients.some(ing => ing.status === 'Restricted')) {
-    risk_level = 'HIGH';
-  } else if (finalIngredients.some(ing => ing.status === 'Risky')) {
-    risk_level = 'MEDIUM';
-  } else if (finalIngredients.some(ing => ing.status === 'Unknown')) {
-    risk_level = 'MEDIUM'; // Unknowns are treated as potentially risky
+/**
+ * Read the optional `language` field of a scan request
+ * @returns {{language: string|null, error: string|null}} - Normalized code, or an error message
+ */
+function readRequestedLanguage(req) {
+  const raw = req.body?.language;
+  if (raw === undefined || raw === null || raw === '') {
+    return { language: null, error: null };
   }
 
-  // Step 7: Determine source
-  let source = 'rules';
-  if (datasetAvailable && knownResults.length > 0) {
-    source = aiResults.length > 0 ? 'dataset+ai' : 'dataset';
-  } else if (aiResults.length > 0) {
-    source = 'ai';
+  const code = String(raw).toLowerCase().trim();
+  if (!isSupportedLanguage(code)) {
+    return { language: null, error: `Unsupported language "${raw}". Supported: ${SUPPORTED_LANGUAGES.join(', ')}` };
   }
-
-  return {
-    risk_level,
-    overallRisk: risk_level,
-    ingredients: finalIngredients,
-    summary,
-    source
-  };
+  return { language: code, error: null };
 }
 
 /**
- * Create empty analysis result when no ingredients found
+ * Switch the response to a Server-Sent Events stream
+ * Sends a comment every SSE_KEEPALIVE_MS so idle proxies keep the connection
+ * open while AI batches run; writes after the client disconnects are dropped.
+ * @returns {{send: Function, end: Function}}
  */
-function createEmptyAnalysisResult() {
+function openEventStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let open = true;
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+  const close = () => {
+    open = false;
+    clearInterval(keepAlive);
+  };
+  res.on('close', close);
+
   return {
-    risk_level: 'LOW',
-    overallRisk: 'LOW',
-    ingredients: [],
-    summary: {
-      safeCount: 0,
-      riskyCount: 0,
-      restrictedCount: 0,
-      unknownCount: 0
+    send(event, data) {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!open) return;
+      close();
+      res.end();
     },
-    source: 'rules'
   };
 }
 
-/**
- * Map status to database risk value
- */
-function mapStatusToDbValue(status) {
-  switch (status) {
-    case 'Safe':
-      return 'safe';
-    case 'Risky':
-      return 'risky';
-    case 'Restricted':
-      return 'restricted';
-    default:
-      return 'unknown';
-  }
+function isAsyncRequest(req) {
+  return req.query?.async === 'true';
 }
 
 /**
- * Map AI status to standard status (Safe|Risky|Restricted|Unknown)
+ * Queue a scan job and answer 202 with where to poll for it
+ * @param {Object} job - { type, userId, input, files } for enqueueScanJob
  */
-function mapAIStatusToStatus(status) {
-  if (!status) return 'Unknown';
-  
-  const normalized = String(status).toLowerCase().trim();
-  
-  if (normalized === 'safe') return 'Safe';
-  if (normalized === 'risky') return 'Risky';
-  if (normalized === 'restricted') return 'Restricted';
-  
-  return 'Unknown';
-}
-
-/**
- * Calculate summary counts from analysis results
- */
-function calculateSummary(analysis) {
-  if (!analysis.ingredients || analysis.ingredients.length === 0) {
-    return {
-      safeCount: 0,
-      riskyCount: 0,
-      restrictedCount: 0,
-      unknownCount: 0
-    };
-  }
-  
-  return {
-    safeCount: analysis.ingredients.filter(ing => ing.status === 'Safe').length,
-    riskyCount: analysis.ingredients.filter(ing => ing.status === 'Risky').length,
-    restrictedCount: analysis.ingredients.filter(ing => ing.status === 'Restricted').length,
-    unknownCount: analysis.ingredients.filter(ing => ing.status === 'Unknown').length
-  };
-}
-
-/**
- * Convert AI result format to rule-based format for unified response
- */
-function convertAIRuleToFormat(aiResult) {
-  const matchedIngredients = aiResult.matched_ingredients.map((ing) => ({
-    name: ing.name,
-    risk_level: ing.risk === 'HIGH' ? 'HIGH' : ing.risk === 'LOW' ? 'LOW' : 'MEDIUM',
-    reason: ing.reason || ''
-  }));
-
-  const summary = {
-    safeCount: matchedIngredients.filter(m => m.risk_level === 'LOW').length,
-    riskyCount: matchedIngredients.filter(m => m.risk_level === 'MEDIUM').length,
-    restrictedCount: matchedIngredients.filter(m => m.risk_level === 'HIGH').length
-  };
-
-  let risk_level = 'LOW';
-  if (matchedIngredients.some(m => m.risk_level === 'HIGH')) {
-    risk_level = 'HIGH';
-  } else if (matchedIngredients.some(m => m.risk_level === 'MEDIUM')) {
-    risk_level = 'MEDIUM';
+async function queueScan(req, res, job) {
+  const webhookUrl = req.body?.webhookUrl || null;
+  if (webhookUrl) {
+    const webhookError = await validateWebhookUrl(webhookUrl);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError, requestId: req.id });
+    }
   }
 
-  const results = aiResult.matched_ingredients.map((ing) => ({
-    ingredient: ing.name,
-    status: ing.risk === 'HIGH' ? 'Restricted' : ing.risk === 'LOW' ? 'Safe' : 'Risky',
-    explanation: ing.reason || '',
-    matchedKey: ing.name.toLowerCase(),
-  }));
+  const queued = await enqueueScanJob({ ...job, webhookUrl });
 
-  return {
-    ingredients: aiResult.matched_ingredients.map((ing) => ing.name),
-    results,
-    summary,
-    risk_level,
-    matched_ingredients: matchedIngredients,
-    explanations: aiResult.explanations || [],
-    recommendations: aiResult.recommendations,
-    model_version: aiResult.model_version,
-  };
+  res.status(202).json({
+    jobId: queued.id,
+    status: queued.status,
+    statusUrl: `${req.baseUrl}/jobs/${queued.id}`,
+  });
 }
-
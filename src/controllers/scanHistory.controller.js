@@ -29,6 +29,8 @@ exports.getScanHistory = async (req, res, next) => {
         s.created_at,
         s.ocr_text as "extractedText",
         s.product_category as "productCategory",
+        s.model_version as "modelVersion",
+        s.dataset_version_id as "datasetVersion",
         COALESCE(
           json_build_object(
             'safeCount', SUM(CASE WHEN LOWER(si.risk) = 'safe' THEN 1 ELSE 0 END),
@@ -51,6 +53,8 @@ exports.getScanHistory = async (req, res, next) => {
       createdAt: row.created_at,
       extractedText: row.extractedText,
       productCategory: row.productCategory,
+      modelVersion: row.modelVersion,
+      datasetVersion: row.datasetVersion,
       summary: row.summary
     }));
 
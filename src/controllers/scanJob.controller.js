@@ -0,0 +1,25 @@
+const { getScanJob } = require('../services/scanJobs.service');
+
+/**
+ * GET /api/scan/jobs/:id
+ * Status of an async scan (POST /api/scan?async=true and friends): progress
+ * stages so far, and the scan response once completed (or the error if failed).
+ *
+ * Jobs queued by a signed-in user are only visible to that user;
+ * guest jobs to anyone holding the job ID.
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const userId = req.user?.id ?? req.user?.userId ?? req.user?.sub ?? null;
+    const job = await getScanJob(req.params.id, userId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Scan job not found', requestId: req.id });
+    }
+
+    res.json(job);
+  } catch (e) {
+    console.error('Get scan job error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch scan job', requestId: req.id });
+  }
+};
@@ -1,6 +1,5 @@
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { migrateUp } = require('./migrator');
 
 // Detect if running on Render OR if DATABASE_URL is provided
 const isOnRender = !!process.env.RENDER;
@@ -70,61 +69,18 @@ const connect = async () => {
   }
 };
 
-// Initialize schema (idempotent). Safe to run repeatedly because it uses IF NOT EXISTS.
-// Also runs migrations to ensure all required columns exist.
+// Bring the schema up to date: applies the schema.sql baseline on first run and
+// every pending migration once (see migrator.js). Safe to run on every boot and
+// from several instances at once.
 const initSchema = async () => {
-  const schemaPath = path.join(__dirname, 'schema.sql');
-  const migrationsDir = path.join(__dirname, 'migrations');
-  
   try {
-    // Step 1: Apply main schema
-    const sql = fs.readFileSync(schemaPath, 'utf8');
-    await pool.query(sql);
-    console.log('✅ Database schema ensured (schema.sql applied)');
-    
-    // Step 2: Apply migrations (if migrations directory exists)
-    try {
-      if (fs.existsSync(migrationsDir)) {
-        const migrationFiles = fs.readdirSync(migrationsDir)
-          .filter(f => f.endsWith('.sql'))
-          .sort(); // Apply in alphabetical order (001_, 002_, etc.)
-        
-        for (const migrationFile of migrationFiles) {
-          const migrationPath = path.join(migrationsDir, migrationFile);
-          const migrationSql = fs.readFileSync(migrationPath, 'utf8');
-          
-          // Run each migration (uses IF NOT EXISTS / ADD COLUMN IF NOT EXISTS for safety)
-          await pool.query(migrationSql);
-          console.log(`✅ Applied migration: ${migrationFile}`);
-        }
-        
-        if (migrationFiles.length > 0) {
-          console.log(`✅ All ${migrationFiles.length} migration(s) applied successfully`);
-        }
-      }
-    } catch (migrationErr) {
-      // Log migration errors but don't fail - schema might already be applied
-      console.warn('⚠️ Some migrations may have failed (possibly already applied):', migrationErr.message);
-    }
-    
-    // Step 3: Ensure critical columns exist directly (fallback protection)
-    // This ensures scans.overall_risk exists regardless of migration state
-    try {
-      await pool.query(
-        'ALTER TABLE IF EXISTS scans ADD COLUMN IF NOT EXISTS overall_risk TEXT'
-      );
-      console.log('Schema migration applied: scans.overall_risk ensured');
-    } catch (colErr) {
-      // Ignore if column already exists
-      if (colErr.code !== '42701') { // 42701 = duplicate_column
-        console.warn('⚠️ Error ensuring overall_risk column:', colErr.message);
-      }
-    }
-    
-    console.log('✅ Database schema fully initialized');
+    const applied = await migrateUp(pool);
+    console.log(applied.length > 0
+      ? `✅ Database schema up to date (${applied.length} migration(s) applied)`
+      : '✅ Database schema up to date');
     return true;
   } catch (err) {
-    console.error('❌ Database schema initialization failed');
+    console.error('❌ Database schema migration failed');
     console.error('Message:', err.message);
     console.error('Code:', err.code || 'N/A');
     if (process.env.NODE_ENV !== 'production') {
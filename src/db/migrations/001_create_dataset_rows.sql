@@ -1,7 +1,9 @@
--- Migration: Create dataset_rows table
+-- Migration: Create the staging table for raw dataset imports
+-- (originally created these rows as dataset_rows, clashing with the typed table
+-- in schema.sql - see 010_reconcile_dataset_rows.sql)
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
 
-CREATE TABLE IF NOT EXISTS dataset_rows (
+CREATE TABLE IF NOT EXISTS dataset_import_rows (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     row_hash TEXT UNIQUE NOT NULL,
     data JSONB NOT NULL,
@@ -12,7 +14,6 @@ CREATE TABLE IF NOT EXISTS dataset_rows (
 );
 
 -- Indexes
-CREATE INDEX IF NOT EXISTS idx_dataset_rows_row_hash ON dataset_rows (row_hash);
-CREATE INDEX IF NOT EXISTS idx_dataset_rows_data_gin ON dataset_rows USING GIN (data);
-CREATE INDEX IF NOT EXISTS idx_dataset_rows_created_at ON dataset_rows (created_at);
-CREATE INDEX IF NOT EXISTS idx_dataset_rows_updated_at ON dataset_rows (updated_at);
+CREATE INDEX IF NOT EXISTS idx_dataset_import_rows_data_gin ON dataset_import_rows USING GIN (data);
+CREATE INDEX IF NOT EXISTS idx_dataset_import_rows_created_at ON dataset_import_rows (created_at);
+CREATE INDEX IF NOT EXISTS idx_dataset_import_rows_updated_at ON dataset_import_rows (updated_at);
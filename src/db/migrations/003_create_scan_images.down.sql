@@ -0,0 +1,2 @@
+-- Undo 003_create_scan_images.sql (drops the per-image records of multi-image scans)
+DROP TABLE IF EXISTS scan_images;
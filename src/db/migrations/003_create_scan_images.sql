@@ -0,0 +1,13 @@
+-- Source images of multi-image scans (one scan, several photos of a wrapped label)
+CREATE TABLE IF NOT EXISTS scan_images (
+  id SERIAL PRIMARY KEY,
+  scan_id INTEGER REFERENCES scans(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  image_path TEXT,
+  image_hash TEXT,
+  ocr_text TEXT,
+  ocr_engine TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_images_scan_id ON scan_images(scan_id);
@@ -0,0 +1,4 @@
+-- Undo 004_add_dataset_fuzzy_matching.sql (pg_trgm stays installed; other database objects may use it)
+DROP INDEX IF EXISTS idx_dataset_rows_name_trgm;
+DROP INDEX IF EXISTS idx_dataset_rows_normalized_name;
+DROP FUNCTION IF EXISTS normalize_ingredient_name(TEXT);
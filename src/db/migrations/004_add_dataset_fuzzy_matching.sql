@@ -0,0 +1,34 @@
+-- Fuzzy ingredient matching: spelling-variant normalized names and trigram similarity.
+-- pg_trgm is optional: where it can't be installed (not available, or no privilege
+-- to create extensions) the migration still applies and analysis falls back to
+-- exact and normalized matching.
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+EXCEPTION WHEN others THEN
+  RAISE WARNING 'pg_trgm not installed, fuzzy matching disabled: %', SQLERRM;
+END $$;
+
+-- Lowercase, fold British/American spellings, drop hyphens, spaces and punctuation
+-- ("Sodium Lauryl Sulphate" and "sodium-lauryl sulfate" -> "sodiumlaurylsulfate").
+-- Keep in sync with normalizeIngredientName in src/utils/ingredientNormalizer.js
+CREATE OR REPLACE FUNCTION normalize_ingredient_name(name TEXT) RETURNS TEXT AS $$
+  SELECT regexp_replace(
+    replace(replace(replace(replace(lower(COALESCE(name, '')),
+      'sulph', 'sulf'),
+      'colour', 'color'),
+      'flavour', 'flavor'),
+      'aluminium', 'aluminum'),
+    '[^a-z0-9]+', '', 'g')
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_dataset_rows_normalized_name
+  ON dataset_rows (normalize_ingredient_name(ingredient_name));
+
+DO $$
+BEGIN
+  CREATE INDEX IF NOT EXISTS idx_dataset_rows_name_trgm
+    ON dataset_rows USING GIN (LOWER(ingredient_name) gin_trgm_ops);
+EXCEPTION WHEN others THEN
+  RAISE WARNING 'idx_dataset_rows_name_trgm not created: %', SQLERRM;
+END $$;
@@ -0,0 +1 @@
+-- IRREVERSIBLE: dataset_rows.aliases was dropped after its values were split into ingredient_aliases rows
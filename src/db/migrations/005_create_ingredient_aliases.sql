@@ -0,0 +1,38 @@
+-- Ingredient aliases as rows, replacing the comma-separated dataset_rows.aliases column
+CREATE TABLE IF NOT EXISTS ingredient_aliases (
+  id SERIAL PRIMARY KEY,
+  ingredient_id INTEGER NOT NULL REFERENCES dataset_rows(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL,
+  alias_type TEXT NOT NULL DEFAULT 'common'
+    CHECK (alias_type IN ('inci', 'common', 'trade', 'cas', 'e_number')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ingredient_aliases_unique ON ingredient_aliases (ingredient_id, LOWER(alias));
+CREATE INDEX IF NOT EXISTS idx_ingredient_aliases_alias ON ingredient_aliases (LOWER(alias));
+CREATE INDEX IF NOT EXISTS idx_ingredient_aliases_normalized ON ingredient_aliases (normalize_ingredient_name(alias));
+
+-- Split existing alias strings into rows, then drop the old column.
+-- Types are guessed the same way as guessAliasType in src/utils/ingredientAliases.js.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'dataset_rows' AND column_name = 'aliases'
+  ) THEN
+    INSERT INTO ingredient_aliases (ingredient_id, alias, alias_type)
+    SELECT d.id, TRIM(a.alias),
+      CASE
+        WHEN TRIM(a.alias) ~ '^[0-9]{2,7}-[0-9]{2}-[0-9]$' THEN 'cas'
+        WHEN TRIM(a.alias) ~* '^e ?[0-9]{3,4}[a-z]?$' THEN 'e_number'
+        WHEN TRIM(a.alias) ~ '[®™]' THEN 'trade'
+        ELSE 'common'
+      END
+    FROM dataset_rows d
+    CROSS JOIN LATERAL unnest(string_to_array(d.aliases, ',')) AS a(alias)
+    WHERE TRIM(a.alias) <> ''
+    ON CONFLICT DO NOTHING;
+
+    ALTER TABLE dataset_rows DROP COLUMN aliases;
+  END IF;
+END $$;
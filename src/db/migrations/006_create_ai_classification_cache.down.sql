@@ -0,0 +1,2 @@
+-- Undo 006_create_ai_classification_cache.sql
+DROP TABLE IF EXISTS ai_classification_cache;
@@ -0,0 +1,14 @@
+-- AI ingredient classifications, reused across scans until they expire
+CREATE TABLE IF NOT EXISTS ai_classification_cache (
+  id SERIAL PRIMARY KEY,
+  normalized_name TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_version TEXT NOT NULL,
+  status TEXT NOT NULL,
+  explanation TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (normalized_name, model, prompt_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_classification_cache_expires_at ON ai_classification_cache(expires_at);
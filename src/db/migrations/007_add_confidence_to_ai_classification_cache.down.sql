@@ -0,0 +1,3 @@
+-- Undo 007_add_confidence_to_ai_classification_cache.sql
+ALTER TABLE ai_classification_cache DROP COLUMN IF EXISTS classified_by;
+ALTER TABLE ai_classification_cache DROP COLUMN IF EXISTS confidence;
@@ -0,0 +1,3 @@
+-- Confidence and provider:model of cached AI classifications
+ALTER TABLE ai_classification_cache ADD COLUMN IF NOT EXISTS confidence REAL;
+ALTER TABLE ai_classification_cache ADD COLUMN IF NOT EXISTS classified_by TEXT;
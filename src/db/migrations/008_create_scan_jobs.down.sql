@@ -0,0 +1,3 @@
+-- Undo 008_create_scan_jobs.sql (drops queued and finished jobs)
+DROP TABLE IF EXISTS scan_job_images;
+DROP TABLE IF EXISTS scan_jobs;
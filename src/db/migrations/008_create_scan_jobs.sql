@@ -0,0 +1,36 @@
+-- Async scan jobs, processed by the scan worker (see services/scanJobs.service.js)
+CREATE TABLE IF NOT EXISTS scan_jobs (
+  id UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('image', 'multi', 'text')),
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  stage TEXT,
+  stages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  input JSONB NOT NULL DEFAULT '{}'::jsonb,
+  result JSONB,
+  error JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  webhook_url TEXT,
+  webhook_status TEXT,
+  webhook_attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_jobs_status_created_at ON scan_jobs(status, created_at);
+
+-- Uploaded (preprocessed) images waiting for their job; removed once the job finishes
+CREATE TABLE IF NOT EXISTS scan_job_images (
+  id SERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES scan_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  filename TEXT,
+  data BYTEA NOT NULL,
+  original_hash TEXT,
+  preprocessing_steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  preprocessing_scale REAL NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_job_images_job_id ON scan_job_images(job_id);
@@ -0,0 +1,2 @@
+-- Undo 009_add_model_version_to_scans.sql
+ALTER TABLE IF EXISTS scans DROP COLUMN IF EXISTS model_version;
@@ -0,0 +1,2 @@
+-- Version of our ingredient classifier (AI_SERVICE_URL) that contributed to a scan, if any
+ALTER TABLE IF EXISTS scans ADD COLUMN IF NOT EXISTS model_version TEXT;
@@ -0,0 +1 @@
+-- IRREVERSIBLE: raw import rows were moved out of dataset_rows and projected into the typed table
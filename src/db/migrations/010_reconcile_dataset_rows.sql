@@ -0,0 +1,114 @@
+-- Reconcile the two dataset_rows shapes. Migration 001 used to create dataset_rows
+-- as raw sheet rows (row_hash + JSONB data) while schema.sql creates the typed
+-- table the analyzer reads, so whichever ran first won. Raw rows now live in the
+-- dataset_import_rows staging table and are projected into the typed dataset_rows
+-- (raw rows found under the typed table's name are moved there before the
+-- baseline is applied, see LEGACY_DATASET_ROWS_SQL in migrator.js).
+
+CREATE TABLE IF NOT EXISTS dataset_import_rows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  row_hash TEXT UNIQUE NOT NULL,
+  data JSONB NOT NULL,
+  source_sheet_id TEXT NOT NULL,
+  source_range TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dataset_rows (
+  id SERIAL PRIMARY KEY,
+  ingredient_name TEXT UNIQUE NOT NULL,
+  risk_level TEXT NOT NULL CHECK (risk_level IN ('LOW', 'MEDIUM', 'HIGH')),
+  reason TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dataset_rows_ingredient_name ON dataset_rows (ingredient_name);
+CREATE INDEX IF NOT EXISTS idx_dataset_rows_risk_level ON dataset_rows (risk_level);
+CREATE INDEX IF NOT EXISTS idx_dataset_rows_normalized_name ON dataset_rows (normalize_ingredient_name(ingredient_name));
+-- Only where pg_trgm is installed (see 004)
+DO $$
+BEGIN
+  CREATE INDEX IF NOT EXISTS idx_dataset_rows_name_trgm ON dataset_rows USING GIN (LOWER(ingredient_name) gin_trgm_ops);
+EXCEPTION WHEN others THEN
+  RAISE WARNING 'idx_dataset_rows_name_trgm not created: %', SQLERRM;
+END $$;
+
+CREATE TABLE IF NOT EXISTS ingredient_aliases (
+  id SERIAL PRIMARY KEY,
+  ingredient_id INTEGER NOT NULL REFERENCES dataset_rows(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL,
+  alias_type TEXT NOT NULL DEFAULT 'common'
+    CHECK (alias_type IN ('inci', 'common', 'trade', 'cas', 'e_number')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ingredient_aliases_unique ON ingredient_aliases (ingredient_id, LOWER(alias));
+CREATE INDEX IF NOT EXISTS idx_ingredient_aliases_alias ON ingredient_aliases (LOWER(alias));
+CREATE INDEX IF NOT EXISTS idx_ingredient_aliases_normalized ON ingredient_aliases (normalize_ingredient_name(alias));
+
+-- Which typed row each import row was projected into, or why it couldn't be
+ALTER TABLE dataset_import_rows ADD COLUMN IF NOT EXISTS ingredient_id INTEGER REFERENCES dataset_rows(id) ON DELETE SET NULL;
+ALTER TABLE dataset_import_rows ADD COLUMN IF NOT EXISTS projection_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_dataset_import_rows_ingredient_id ON dataset_import_rows (ingredient_id);
+
+-- Project import rows that never were. Mirrors projectImportRow in
+-- src/services/dataset.service.js; rows already in dataset_rows (e.g. from
+-- scripts/import_dataset.js) are linked but not overwritten.
+DROP TABLE IF EXISTS dataset_import_projection;
+CREATE TEMP TABLE dataset_import_projection AS
+SELECT
+  i.id,
+  i.updated_at,
+  TRIM(COALESCE(i.data->>'ingredient_name', '')) AS ingredient_name,
+  CASE
+    WHEN UPPER(TRIM(i.data->>'risk_level')) IN ('LOW', 'MEDIUM', 'HIGH') THEN UPPER(TRIM(i.data->>'risk_level'))
+    WHEN LOWER(TRIM(i.data->>'risk_level')) = 'safe' THEN 'LOW'
+    WHEN LOWER(TRIM(i.data->>'risk_level')) = 'risky' THEN 'MEDIUM'
+    WHEN LOWER(TRIM(i.data->>'risk_level')) = 'restricted' THEN 'HIGH'
+  END AS risk_level,
+  COALESCE(i.data->>'reason', '') AS reason,
+  COALESCE(i.data->>'aliases', '') AS aliases
+FROM dataset_import_rows i
+WHERE i.ingredient_id IS NULL;
+
+UPDATE dataset_import_rows i
+SET projection_error = CASE
+  WHEN p.ingredient_name = '' THEN 'ingredient_name is required'
+  ELSE 'risk_level must be LOW, MEDIUM or HIGH (or Safe, Risky, Restricted)'
+END
+FROM dataset_import_projection p
+WHERE p.id = i.id AND (p.ingredient_name = '' OR p.risk_level IS NULL);
+
+DELETE FROM dataset_import_projection WHERE ingredient_name = '' OR risk_level IS NULL;
+
+-- Newest import row wins when several carry the same ingredient
+INSERT INTO dataset_rows (ingredient_name, risk_level, reason, updated_at)
+SELECT DISTINCT ON (ingredient_name) ingredient_name, risk_level, reason, NOW()
+FROM dataset_import_projection
+ORDER BY ingredient_name, updated_at DESC
+ON CONFLICT (ingredient_name) DO NOTHING;
+
+UPDATE dataset_import_rows i
+SET ingredient_id = d.id, projection_error = NULL
+FROM dataset_import_projection p
+JOIN dataset_rows d ON d.ingredient_name = p.ingredient_name
+WHERE p.id = i.id;
+
+-- Types are guessed the same way as guessAliasType in src/utils/ingredientAliases.js
+INSERT INTO ingredient_aliases (ingredient_id, alias, alias_type)
+SELECT d.id, TRIM(a.alias),
+  CASE
+    WHEN TRIM(a.alias) ~ '^[0-9]{2,7}-[0-9]{2}-[0-9]$' THEN 'cas'
+    WHEN TRIM(a.alias) ~* '^e ?[0-9]{3,4}[a-z]?$' THEN 'e_number'
+    WHEN TRIM(a.alias) ~ '[®™]' THEN 'trade'
+    ELSE 'common'
+  END
+FROM dataset_import_projection p
+JOIN dataset_rows d ON d.ingredient_name = p.ingredient_name
+CROSS JOIN LATERAL unnest(string_to_array(p.aliases, ',')) AS a(alias)
+WHERE TRIM(a.alias) <> ''
+ON CONFLICT DO NOTHING;
+
+DROP TABLE dataset_import_projection;
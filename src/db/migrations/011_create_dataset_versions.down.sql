@@ -0,0 +1,4 @@
+-- Undo 011_create_dataset_versions.sql
+ALTER TABLE IF EXISTS scans DROP COLUMN IF EXISTS dataset_version_id;
+DROP TABLE IF EXISTS dataset_version_rows;
+DROP TABLE IF EXISTS dataset_versions;
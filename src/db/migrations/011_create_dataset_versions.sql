@@ -0,0 +1,49 @@
+-- Numbered snapshots of the reference dataset: one per sync, import or rollback,
+-- plus a baseline of whatever dataset_rows held before versioning
+CREATE TABLE IF NOT EXISTS dataset_versions (
+  id SERIAL PRIMARY KEY,
+  source TEXT NOT NULL CHECK (source IN ('baseline', 'sync', 'import', 'rollback')),
+  description TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  restored_from INTEGER REFERENCES dataset_versions(id) ON DELETE SET NULL,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Full copy of dataset_rows (with aliases) as of each version
+CREATE TABLE IF NOT EXISTS dataset_version_rows (
+  version_id INTEGER NOT NULL REFERENCES dataset_versions(id) ON DELETE CASCADE,
+  ingredient_name TEXT NOT NULL,
+  risk_level TEXT NOT NULL,
+  reason TEXT,
+  aliases JSONB NOT NULL DEFAULT '[]'::jsonb,
+  PRIMARY KEY (version_id, ingredient_name)
+);
+
+-- Dataset version each scan was analyzed against
+ALTER TABLE IF EXISTS scans ADD COLUMN IF NOT EXISTS dataset_version_id INTEGER REFERENCES dataset_versions(id) ON DELETE SET NULL;
+
+-- Version 1 is the dataset as it is now, so later versions have something to diff against
+DO $$
+DECLARE
+  baseline_id INTEGER;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM dataset_versions) AND EXISTS (SELECT 1 FROM dataset_rows) THEN
+    INSERT INTO dataset_versions (source, description)
+    VALUES ('baseline', 'Dataset before versioning')
+    RETURNING id INTO baseline_id;
+
+    INSERT INTO dataset_version_rows (version_id, ingredient_name, risk_level, reason, aliases)
+    SELECT baseline_id, d.ingredient_name, d.risk_level, d.reason,
+      COALESCE(
+        (SELECT jsonb_agg(jsonb_build_object('alias', a.alias, 'type', a.alias_type) ORDER BY a.id)
+         FROM ingredient_aliases a WHERE a.ingredient_id = d.id),
+        '[]'::jsonb
+      )
+    FROM dataset_rows d;
+
+    UPDATE dataset_versions
+    SET row_count = (SELECT COUNT(*) FROM dataset_version_rows WHERE version_id = baseline_id)
+    WHERE id = baseline_id;
+  END IF;
+END $$;
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned migration runner.
+ *
+ * Migrations are src/db/migrations/NNN_name.sql, applied in version order. An
+ * optional NNN_name.down.sql next to one undoes it. A migration that can't be
+ * undone (it drops data) says so with a down file starting
+ * "-- IRREVERSIBLE: <why>", and rolling back stops there. Each migration runs once,
+ * in its own transaction together with its schema_migrations ledger entry,
+ * which records the file's checksum: a migration edited after it was applied
+ * shows up as "modified" and stops further migrations until it is reverted
+ * (or rolled back and re-applied).
+ *
+ * Every run holds a Postgres advisory lock, so instances starting at the same
+ * time apply migrations one after another instead of racing.
+ *
+ * schema.sql is the baseline and is frozen: it is the schema as it stood before
+ * the ledger existed, applied once when the ledger is created. Every change since
+ * is a migration, so databases that predate the ledger and fresh ones go through
+ * the same steps. Never edit schema.sql - add a migration instead.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BASELINE_PATH = path.join(__dirname, 'schema.sql');
+
+// Arbitrary application-wide key for pg_advisory_lock
+const MIGRATION_LOCK_ID = 7372726;
+
+// Databases created before schema.sql had the typed dataset_rows table may hold
+// raw sheet rows (row_hash + JSONB data) under that name, which the baseline
+// can't index. Move them to the dataset_import_rows staging table first.
+const LEGACY_DATASET_ROWS_SQL = `
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'dataset_rows' AND column_name = 'row_hash'
+  ) THEN
+    IF to_regclass('dataset_import_rows') IS NULL THEN
+      ALTER TABLE dataset_rows RENAME TO dataset_import_rows;
+      ALTER TABLE dataset_import_rows RENAME CONSTRAINT dataset_rows_pkey TO dataset_import_rows_pkey;
+      ALTER TABLE dataset_import_rows RENAME CONSTRAINT dataset_rows_row_hash_key TO dataset_import_rows_row_hash_key;
+      DROP INDEX IF EXISTS idx_dataset_rows_row_hash;
+      ALTER INDEX IF EXISTS idx_dataset_rows_data_gin RENAME TO idx_dataset_import_rows_data_gin;
+      ALTER INDEX IF EXISTS idx_dataset_rows_created_at RENAME TO idx_dataset_import_rows_created_at;
+      ALTER INDEX IF EXISTS idx_dataset_rows_updated_at RENAME TO idx_dataset_import_rows_updated_at;
+    ELSE
+      INSERT INTO dataset_import_rows (row_hash, data, source_sheet_id, source_range, created_at, updated_at)
+      SELECT row_hash, data, source_sheet_id, source_range, created_at, updated_at FROM dataset_rows
+      ON CONFLICT (row_hash) DO NOTHING;
+      DROP TABLE dataset_rows;
+    END IF;
+  END IF;
+END $$;
+`;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/i;
+const DOWN_SUFFIX = '.down.sql';
+const IRREVERSIBLE_PATTERN = /^\s*--\s*IRREVERSIBLE:\s*(.*)/i;
+
+// Controlled error for migrations that can't be run as asked
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Read the migration files
+ * @param {string} [dir] - Migrations directory
+ * @returns {Object[]} - { version, name, file, sql, checksum, downSql, irreversible } in version
+ *   order; downSql is null when there is no .down.sql file or it marks the migration
+ *   irreversible, irreversible is the reason given or null
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const migrations = fs.readdirSync(dir)
+    .filter(file => !file.endsWith(DOWN_SUFFIX))
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      const downPath = path.join(dir, file.replace(/\.sql$/i, DOWN_SUFFIX));
+      const downSql = fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null;
+      const irreversible = downSql === null ? null : IRREVERSIBLE_PATTERN.exec(downSql);
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        sql,
+        checksum: checksum(sql),
+        downSql: irreversible ? null : downSql,
+        irreversible: irreversible ? irreversible[1].trim() : null,
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new MigrationError(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+async function ledgerExists(client) {
+  const result = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  return result.rows[0].exists;
+}
+
+async function readLedger(client) {
+  if (!(await ledgerExists(client))) return [];
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations ORDER BY version::bigint'
+  );
+  return result.rows;
+}
+
+/**
+ * Create the ledger, applying the frozen schema.sql baseline the first time.
+ * Migrations then take the database from the baseline to the current schema.
+ */
+async function ensureLedger(client, log) {
+  if (await ledgerExists(client)) return;
+
+  await client.query('BEGIN');
+  try {
+    await client.query(LEGACY_DATASET_ROWS_SQL);
+    await client.query(fs.readFileSync(BASELINE_PATH, 'utf8'));
+    await client.query(`
+      CREATE TABLE schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        execution_ms INTEGER
+      )
+    `);
+    await client.query('COMMIT');
+    log('✅ Baseline schema.sql applied, schema_migrations ledger created');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Run fn on a dedicated connection holding the migration lock
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Compare the migration files with the ledger
+ * @returns {Object[]} - One entry per migration: { version, name, file, state, appliedAt, hasDown,
+ *   irreversible }; state is applied, pending, modified (applied, file changed since) or missing
+ *   (applied, file gone), irreversible the reason it can't be rolled back or null
+ */
+function compare(migrations, ledger) {
+  const applied = new Map(ledger.map(entry => [entry.version, entry]));
+  const rows = migrations.map((migration) => {
+    const entry = applied.get(migration.version);
+    applied.delete(migration.version);
+
+    let state = 'pending';
+    if (entry) {
+      state = entry.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      file: migration.file,
+      state,
+      appliedAt: entry ? entry.applied_at : null,
+      hasDown: migration.downSql !== null,
+      irreversible: migration.irreversible,
+    };
+  });
+
+  for (const entry of applied.values()) {
+    rows.push({ version: entry.version, name: entry.name, file: null, state: 'missing', appliedAt: entry.applied_at, hasDown: false, irreversible: null });
+  }
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * State of every migration
+ * @param {Pool} pool - pg pool
+ * @returns {Promise<Object[]>} - See compare
+ */
+async function getStatus(pool) {
+  const client = await pool.connect();
+  try {
+    return compare(loadMigrations(), await readLedger(client));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {Pool} pool - pg pool
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this version
+ * @param {Function} [options.log] - Progress logger (default console.log)
+ * @returns {Promise<Object[]>} - The migrations applied
+ * @throws {MigrationError} - When an applied migration was modified; nothing is applied then
+ */
+async function migrateUp(pool, { to, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    await ensureLedger(client, log);
+
+    const migrations = loadMigrations();
+    const status = compare(migrations, await readLedger(client));
+    const modified = status.filter(entry => entry.state === 'modified');
+    if (modified.length > 0) {
+      throw new MigrationError(
+        `Applied migration(s) changed since they ran: ${modified.map(entry => entry.file).join(', ')}. ` +
+        'Restore the original file, or roll it back and apply it again.'
+      );
+    }
+
+    const pendingVersions = new Set(status.filter(entry => entry.state === 'pending').map(entry => entry.version));
+    const pending = migrations.filter(migration =>
+      pendingVersions.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to))
+    );
+
+    const applied = [];
+    for (const migration of pending) {
+      const startedAt = Date.now();
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      log(`✅ Applied migration: ${migration.file} (${Date.now() - startedAt} ms)`);
+      applied.push(migration);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations with their .down.sql files
+ * @param {Pool} pool - pg pool
+ * @param {Object} [options]
+ * @param {number} [options.steps] - How many migrations to roll back (default 1)
+ * @param {Function} [options.log] - Progress logger (default console.log)
+ * @returns {Promise<Object[]>} - The migrations rolled back
+ * @throws {MigrationError} - When one of them is irreversible or has no down migration (or its
+ *   file is gone); nothing is rolled back then
+ */
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const targets = (await readLedger(client)).reverse().slice(0, steps);
+
+    const irreversible = targets.filter(entry => migrations.get(entry.version)?.irreversible);
+    if (irreversible.length > 0) {
+      throw new MigrationError(
+        `Irreversible migration ${irreversible.map(entry => `${entry.version}_${entry.name} (${migrations.get(entry.version).irreversible})`).join(', ')}; ` +
+        'nothing was rolled back'
+      );
+    }
+
+    const missingDown = targets.filter(entry => migrations.get(entry.version)?.downSql == null);
+    if (missingDown.length > 0) {
+      throw new MigrationError(
+        `No down migration for ${missingDown.map(entry => `${entry.version}_${entry.name}`).join(', ')}; nothing was rolled back`
+      );
+    }
+
+    const rolledBack = [];
+    for (const entry of targets) {
+      const migration = migrations.get(entry.version);
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.downSql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [entry.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        error.message = `Rolling back ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      log(`✅ Rolled back migration: ${migration.file}`);
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  });
+}
+
+/**
+ * Create empty up and down files for a new migration, numbered after the last one
+ * @param {string} name - Description, e.g. "add barcode to scans"
+ * @returns {{up: string, down: string}} - Paths of the created files
+ */
+function createMigration(name) {
+  const slug = String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new MigrationError('Migration name must contain letters or digits');
+  }
+
+  const migrations = loadMigrations();
+  const last = migrations.length ? Number(migrations[migrations.length - 1].version) : 0;
+  const version = String(last + 1).padStart(3, '0');
+  const up = path.join(MIGRATIONS_DIR, `${version}_${slug}.sql`);
+  const down = path.join(MIGRATIONS_DIR, `${version}_${slug}${DOWN_SUFFIX}`);
+
+  fs.writeFileSync(up, `-- ${name}\n`, { flag: 'wx' });
+  fs.writeFileSync(down, `-- Undo ${version}_${slug}.sql\n`, { flag: 'wx' });
+  return { up, down };
+}
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+};
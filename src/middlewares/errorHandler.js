@@ -1,3 +1,5 @@
+const upload = require('./upload');
+
 module.exports = function errorHandler(err, req, res, next) {
   // Handle Multer errors specifically
   if (err.name === 'MulterError') {
@@ -9,6 +11,14 @@ module.exports = function errorHandler(err, req, res, next) {
       });
     }
 
+    // Too many files, or a file under an unexpected field name
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        error: `Unexpected upload field "${err.field}" or too many images. Use 'image' for one photo or up to ${upload.MAX_SCAN_IMAGES} 'images' on /api/scan/multi.`,
+        requestId: req.id,
+      });
+    }
+
     // Invalid file type
     if (err.message && err.message.includes('Only')) {
       return res.status(400).json({
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const { preprocessImage } = require('../services/imagePreprocess.service');
+
+/**
+ * Preprocess uploaded images before they reach OCR.
+ * Runs after multer (single or array upload): replaces each file's buffer
+ * with the cleaned-up image and records on the file:
+ * - preprocessingSteps: the steps applied
+ * - preprocessingScale: factor mapping processed-image coordinates to the original
+ * - originalHash: sha256 of the image as uploaded
+ * Requests without files pass straight through.
+ */
+module.exports = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    for (const file of files) {
+      file.originalHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+      const { buffer, steps, scale } = await preprocessImage(file.buffer);
+      file.buffer = buffer;
+      file.preprocessingSteps = steps;
+      file.preprocessingScale = scale;
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
@@ -0,0 +1,15 @@
+// Admins are configured by email: ADMIN_EMAILS=alice@example.com,bob@example.com
+// Must run after requireAuth.
+module.exports = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  const email = String((req.user && req.user.email) || '').toLowerCase();
+  if (!email || !adminEmails.includes(email)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  next();
+};
@@ -2,6 +2,9 @@ const multer = require('multer');
 
 const storage = multer.memoryStorage();
 
+// Maximum photos accepted by a multi-image scan
+const MAX_SCAN_IMAGES = parseInt(process.env.MAX_SCAN_IMAGES || '5', 10);
+
 const upload = multer({
   storage,
   limits: {
@@ -15,3 +18,4 @@ const upload = multer({
 });
 
 module.exports = upload;
+module.exports.MAX_SCAN_IMAGES = MAX_SCAN_IMAGES;
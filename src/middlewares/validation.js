@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { SUPPORTED_LANGUAGES } = require('../utils/labelLanguages');
 
 const schemas = {
   register: Joi.object({
@@ -24,6 +25,8 @@ const schemas = {
     text: Joi.string().min(2).max(10000).required(),
     productCategory: Joi.string().allow('', null).optional(),
     product_category: Joi.string().allow('', null).optional(),
+    language: Joi.string().valid(...SUPPORTED_LANGUAGES).insensitive().allow('', null).optional(),
+    webhookUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional(),
   }).unknown(false),
 
   pagination: Joi.object({
@@ -38,6 +41,17 @@ const schemas = {
   lookup: Joi.object({
     ingredient: Joi.string().min(1).max(200).required(),
   }).unknown(true),
+
+  aiCacheInvalidate: Joi.object({
+    name: Joi.string().min(1).max(200).optional(),
+    model: Joi.string().min(1).max(200).optional(),
+    promptVersion: Joi.string().min(1).max(20).optional(),
+  }).unknown(false),
+
+  datasetVersionDiff: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).optional(),
+  }).unknown(false),
 };
 
 const validate = (schemaName) => {
@@ -1,61 +1,216 @@
 const db = require('../db');
+const datasetVersionRepository = require('./datasetVersion.repository');
+
+// Columns GET /api/dataset can filter and sort on
+const FILTER_COLUMNS = ['ingredient_name', 'risk_level', 'reason'];
+const SORT_COLUMNS = ['ingredient_name', 'risk_level', 'updated_at'];
 
 class DatasetRepository {
-  async upsertMany(rows) {
-    if (!rows.length) return { inserted: 0, updated: 0, skipped: 0 };
+  /**
+   * Stage raw import rows (keyed by content hash) in dataset_import_rows
+   * @param {Object[]} rows - { row_hash, data, source_sheet_id, source_range }
+   * @param {Object} [client] - pg client (default: the app pool)
+   * @returns {Promise<{inserted: number, updated: number, skipped: number, rows: Object[]}>} -
+   *   rows: { id, row_hash } of every staged row
+   */
+  async upsertImportRows(rows, client = db) {
+    if (!rows.length) return { inserted: 0, updated: 0, skipped: 0, rows: [] };
 
     const values = rows.map((row, index) => `($${index * 5 + 1}, $${index * 5 + 2}, $${index * 5 + 3}, $${index * 5 + 4}, $${index * 5 + 5})`).join(', ');
     const params = rows.flatMap(row => [row.row_hash, JSON.stringify(row.data), row.source_sheet_id, row.source_range, new Date()]);
 
     const query = `
-      INSERT INTO dataset_rows (row_hash, data, source_sheet_id, source_range, updated_at)
+      INSERT INTO dataset_import_rows (row_hash, data, source_sheet_id, source_range, updated_at)
       VALUES ${values}
       ON CONFLICT (row_hash) DO UPDATE SET
         data = EXCLUDED.data,
         source_sheet_id = EXCLUDED.source_sheet_id,
         source_range = EXCLUDED.source_range,
         updated_at = EXCLUDED.updated_at
-      RETURNING (xmax = 0) AS inserted
+      RETURNING id, row_hash, (xmax = 0) AS inserted
     `;
 
-    const result = await db.query(query, params);
+    const result = await client.query(query, params);
     const inserted = result.rows.filter(r => r.inserted).length;
     const updated = result.rows.length - inserted;
-    return { inserted, updated, skipped: 0 };
+    return { inserted, updated, skipped: 0, rows: result.rows.map(({ id, row_hash }) => ({ id, row_hash })) };
   }
 
-  async list({ page, limit, search, sortBy, order, filters }) {
-    const offset = (page - 1) * limit;
-    let whereClauses = [];
-    let params = [];
-    let paramIndex = 1;
+  /**
+   * Upsert ingredients into dataset_rows, replacing each one's aliases
+   * @param {Object[]} ingredients - { name, riskLevel, reason, aliases }
+   * @param {Object} client - pg client, inside the caller's transaction
+   * @returns {Promise<{inserted: number, updated: number, aliases: number, ids: Map<string, number>}>} -
+   *   ids: ingredient_name -> dataset_rows.id of every ingredient written
+   */
+  async writeIngredients(ingredients, client) {
+    const ids = new Map();
+    let inserted = 0;
+    let updated = 0;
+    let aliases = 0;
+
+    for (const ingredient of ingredients) {
+      const result = await client.query(
+        `INSERT INTO dataset_rows (ingredient_name, risk_level, reason, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (ingredient_name)
+         DO UPDATE SET
+           risk_level = EXCLUDED.risk_level,
+           reason = EXCLUDED.reason,
+           updated_at = NOW()
+         RETURNING id, (xmax = 0) AS inserted`,
+        [ingredient.name, ingredient.riskLevel, ingredient.reason]
+      );
 
-    if (search) {
-      whereClauses.push(`data::text ILIKE $${paramIndex++}`);
-      params.push(`%${search}%`);
+      const { id: ingredientId } = result.rows[0];
+      ids.set(ingredient.name, ingredientId);
+      if (result.rows[0].inserted) {
+        inserted++;
+      } else {
+        updated++;
+      }
+
+      await client.query('DELETE FROM ingredient_aliases WHERE ingredient_id = $1', [ingredientId]);
+      if (ingredient.aliases.length > 0) {
+        await client.query(
+          `INSERT INTO ingredient_aliases (ingredient_id, alias, alias_type)
+           SELECT $1, a.alias, a.alias_type
+           FROM unnest($2::text[], $3::text[]) AS a(alias, alias_type)
+           ON CONFLICT DO NOTHING`,
+          [ingredientId, ingredient.aliases.map(a => a.alias), ingredient.aliases.map(a => a.type)]
+        );
+        aliases += ingredient.aliases.length;
+      }
     }
 
-    Object.keys(filters).forEach(key => {
-      if (filters[key]) {
-        whereClauses.push(`(data->>'${key}') ILIKE $${paramIndex++}`);
-        params.push(`%${filters[key]}%`);
+    return { inserted, updated, aliases, ids };
+  }
+
+  /**
+   * Stage raw import rows, write the ingredients a change set touches into
+   * dataset_rows, record the outcome on the import rows and snapshot the result
+   * as a new dataset version, in one transaction
+   * @param {Object[]} rows - { row_hash, data, source_sheet_id, source_range } plus the projection:
+   *   ingredient: { name, riskLevel, reason, aliases } for projectable rows, error for the others
+   * @param {Object} [options]
+   * @param {Set<string>} [options.changedNames] - Ingredients to write (changedIngredientNames,
+   *   utils/datasetChangeSet); the other projectable rows are already in the dataset as they are
+   *   and are only linked to it. Default: write every projectable row.
+   * @param {string|null} [options.description] - For the dataset version
+   * @param {number|null} [options.createdBy] - For the dataset version
+   * @param {number|null} [options.expectedVersion] - Only apply if the dataset is still at this version
+   * @returns {Promise<{staged: Object, inserted: number, updated: number, rejected: number, version: Object}|null>} -
+   *   staged: { inserted, updated } import rows; null (nothing written, not even the
+   *   staged rows) when the dataset has moved past expectedVersion
+   */
+  async stageAndApply(rows, { changedNames, description = null, createdBy = null, expectedVersion } = {}) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await datasetVersionRepository.lockDataset(client);
+
+      if (expectedVersion !== undefined && (await datasetVersionRepository.getCurrentId(client)) !== expectedVersion) {
+        await client.query('ROLLBACK');
+        return null;
       }
-    });
 
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+      const staged = await this.upsertImportRows(rows, client);
+      const importRowIds = new Map(staged.rows.map(({ id, row_hash: rowHash }) => [rowHash, id]));
+
+      const written = await this.writeIngredients(
+        rows
+          .filter(({ ingredient }) => ingredient && (!changedNames || changedNames.has(ingredient.name)))
+          .map(({ ingredient }) => ingredient),
+        client
+      );
+
+      let rejected = 0;
+      for (const { row_hash: rowHash, ingredient, error } of rows) {
+        const importRowId = importRowIds.get(rowHash);
+        if (!ingredient) {
+          await client.query(
+            'UPDATE dataset_import_rows SET ingredient_id = NULL, projection_error = $2 WHERE id = $1',
+            [importRowId, error]
+          );
+          rejected++;
+        } else if (written.ids.has(ingredient.name)) {
+          await client.query(
+            'UPDATE dataset_import_rows SET ingredient_id = $2, projection_error = NULL WHERE id = $1',
+            [importRowId, written.ids.get(ingredient.name)]
+          );
+        } else {
+          await client.query(
+            `UPDATE dataset_import_rows SET projection_error = NULL,
+               ingredient_id = (SELECT id FROM dataset_rows WHERE ingredient_name = $2)
+             WHERE id = $1`,
+            [importRowId, ingredient.name]
+          );
+        }
+      }
 
-    let orderBy;
-    if (['created_at', 'updated_at'].includes(sortBy)) {
-      orderBy = `${sortBy} ${order.toUpperCase()}`;
-    } else {
-      orderBy = `(data->>'${sortBy}') ${order.toUpperCase()} NULLS LAST`;
+      const version = await datasetVersionRepository.createSnapshot(client, { source: 'sync', description, createdBy });
+
+      await client.query('COMMIT');
+      return {
+        staged: { inserted: staged.inserted, updated: staged.updated },
+        inserted: written.inserted,
+        updated: written.updated,
+        rejected,
+        version,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
     }
+  }
+
+  /**
+   * The whole dataset with its version, for computing change sets
+   * @param {Object} [client] - pg client (default: the app pool)
+   * @returns {Promise<{version: number|null, rows: Map<string, Object>}>} -
+   *   rows: ingredient_name -> { riskLevel, reason, aliases }
+   */
+  async loadCurrent(client = db) {
+    // Version first: a write committed between the two reads moves the version
+    // past the one returned, so a later apply against it is refused
+    const version = await datasetVersionRepository.getCurrentId(client);
+    const result = await client.query(`
+      SELECT d.ingredient_name, d.risk_level, d.reason,
+        COALESCE(
+          (SELECT json_agg(json_build_object('alias', a.alias, 'type', a.alias_type) ORDER BY a.id)
+           FROM ingredient_aliases a WHERE a.ingredient_id = d.id),
+          '[]'::json
+        ) AS aliases
+      FROM dataset_rows d
+    `);
+
+    const rows = new Map(result.rows.map(row => [
+      row.ingredient_name,
+      { riskLevel: row.risk_level, reason: row.reason, aliases: row.aliases },
+    ]));
+    return { version, rows };
+  }
+
+  async list({ page, limit, search, sortBy, order, filters }) {
+    const offset = (page - 1) * limit;
+    const { whereClause, params } = buildWhere({ search, filters });
+    let paramIndex = params.length + 1;
+
+    const sortColumn = SORT_COLUMNS.includes(sortBy) ? sortBy : 'updated_at';
+    const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
 
     const query = `
-      SELECT id, row_hash, data, source_sheet_id, source_range, created_at, updated_at
-      FROM dataset_rows
+      SELECT d.id, d.ingredient_name, d.risk_level, d.reason, d.updated_at,
+        COALESCE(
+          (SELECT json_agg(json_build_object('alias', a.alias, 'type', a.alias_type) ORDER BY a.id)
+           FROM ingredient_aliases a WHERE a.ingredient_id = d.id),
+          '[]'::json
+        ) AS aliases
+      FROM dataset_rows d
       ${whereClause}
-      ORDER BY ${orderBy}
+      ORDER BY d.${sortColumn} ${direction} NULLS LAST, d.id
       LIMIT $${paramIndex++} OFFSET $${paramIndex++}
     `;
 
@@ -66,28 +221,38 @@ class DatasetRepository {
   }
 
   async count({ search, filters }) {
-    let whereClauses = [];
-    let params = [];
-    let paramIndex = 1;
-
-    if (search) {
-      whereClauses.push(`data::text ILIKE $${paramIndex++}`);
-      params.push(`%${search}%`);
-    }
-
-    Object.keys(filters).forEach(key => {
-      if (filters[key]) {
-        whereClauses.push(`(data->>'${key}') ILIKE $${paramIndex++}`);
-        params.push(`%${filters[key]}%`);
-      }
-    });
+    const { whereClause, params } = buildWhere({ search, filters });
 
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
-
-    const query = `SELECT COUNT(*) as total FROM dataset_rows ${whereClause}`;
+    const query = `SELECT COUNT(*) as total FROM dataset_rows d ${whereClause}`;
     const result = await db.query(query, params);
     return parseInt(result.rows[0].total);
   }
 }
 
+// Search matches names, reasons and aliases; filters only known columns (others are ignored)
+function buildWhere({ search, filters }) {
+  const whereClauses = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (search) {
+    whereClauses.push(`(d.ingredient_name ILIKE $${paramIndex} OR d.reason ILIKE $${paramIndex}
+      OR EXISTS (SELECT 1 FROM ingredient_aliases a WHERE a.ingredient_id = d.id AND a.alias ILIKE $${paramIndex}))`);
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  FILTER_COLUMNS.forEach(column => {
+    if (filters[column]) {
+      whereClauses.push(`d.${column} ILIKE $${paramIndex++}`);
+      params.push(`%${filters[column]}%`);
+    }
+  });
+
+  return {
+    whereClause: whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '',
+    params,
+  };
+}
+
 module.exports = new DatasetRepository();
@@ -0,0 +1,170 @@
+const db = require('../db');
+
+const VERSION_COLUMNS = 'id, source, description, created_by, restored_from, row_count, created_at';
+
+// Transaction-level advisory lock held by everything that changes dataset_rows,
+// so each version snapshot sees exactly the change it records
+const DATASET_LOCK_ID = 7372727;
+
+class DatasetVersionRepository {
+  /**
+   * Serialize dataset changes: call first inside the transaction that changes dataset_rows
+   * @param {Object} client - pg client with an open transaction
+   */
+  async lockDataset(client) {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [DATASET_LOCK_ID]);
+  }
+
+  /**
+   * Record the current dataset_rows (with aliases) as a new version, inside the
+   * caller's transaction
+   * @param {Object} client - pg client with an open transaction
+   * @param {Object} version
+   * @param {string} version.source - "sync", "import" or "rollback" ("baseline" is only created by migration 011)
+   * @param {string|null} [version.description]
+   * @param {number|null} [version.createdBy] - User ID
+   * @param {number|null} [version.restoredFrom] - Version a rollback restored
+   * @returns {Promise<Object>} - The version row
+   */
+  async createSnapshot(client, { source, description = null, createdBy = null, restoredFrom = null }) {
+    const result = await client.query(
+      `INSERT INTO dataset_versions (source, description, created_by, restored_from)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [source, description, createdBy, restoredFrom]
+    );
+    const versionId = result.rows[0].id;
+
+    const copied = await client.query(
+      `INSERT INTO dataset_version_rows (version_id, ingredient_name, risk_level, reason, aliases)
+       SELECT $1, d.ingredient_name, d.risk_level, d.reason,
+         COALESCE(
+           (SELECT jsonb_agg(jsonb_build_object('alias', a.alias, 'type', a.alias_type) ORDER BY a.id)
+            FROM ingredient_aliases a WHERE a.ingredient_id = d.id),
+           '[]'::jsonb
+         )
+       FROM dataset_rows d`,
+      [versionId]
+    );
+
+    const version = await client.query(
+      `UPDATE dataset_versions SET row_count = $2 WHERE id = $1 RETURNING ${VERSION_COLUMNS}`,
+      [versionId, copied.rowCount]
+    );
+    return version.rows[0];
+  }
+
+  async list({ limit, offset }) {
+    const result = await db.query(
+      `SELECT ${VERSION_COLUMNS} FROM dataset_versions ORDER BY id DESC LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    return result.rows;
+  }
+
+  async count() {
+    const result = await db.query('SELECT COUNT(*) AS total FROM dataset_versions');
+    return parseInt(result.rows[0].total);
+  }
+
+  async findById(id) {
+    const result = await db.query(`SELECT ${VERSION_COLUMNS} FROM dataset_versions WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest version, i.e. the one dataset_rows currently holds
+   * @param {Object} [client] - pg client, to read inside a transaction
+   * @returns {Promise<number|null>} - null before the first sync or import
+   */
+  async getCurrentId(client = db) {
+    const result = await client.query('SELECT id FROM dataset_versions ORDER BY id DESC LIMIT 1');
+    return result.rows[0]?.id ?? null;
+  }
+
+  /**
+   * Ingredients added, removed or with a different risk level between two versions
+   * @returns {Promise<Object[]>} - { ingredient_name, from_risk_level, to_risk_level, from_reason, to_reason };
+   *   from_* is null for added ingredients, to_* for removed ones
+   */
+  async diff(fromId, toId) {
+    const result = await db.query(
+      `SELECT COALESCE(f.ingredient_name, t.ingredient_name) AS ingredient_name,
+         f.risk_level AS from_risk_level, t.risk_level AS to_risk_level,
+         f.reason AS from_reason, t.reason AS to_reason
+       FROM (SELECT * FROM dataset_version_rows WHERE version_id = $1) f
+       FULL OUTER JOIN (SELECT * FROM dataset_version_rows WHERE version_id = $2) t
+         ON t.ingredient_name = f.ingredient_name
+       WHERE f.risk_level IS DISTINCT FROM t.risk_level
+       ORDER BY 1`,
+      [fromId, toId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Make dataset_rows match an earlier version again and record that as a new version
+   * @param {number} versionId - Version to restore
+   * @param {Object} options
+   * @param {number|null} options.createdBy - User ID
+   * @returns {Promise<Object>} - The new (rollback) version row
+   */
+  async restore(versionId, { createdBy }) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.lockDataset(client);
+
+      await client.query(
+        `INSERT INTO dataset_rows (ingredient_name, risk_level, reason, updated_at)
+         SELECT ingredient_name, risk_level, reason, NOW()
+         FROM dataset_version_rows WHERE version_id = $1
+         ON CONFLICT (ingredient_name)
+         DO UPDATE SET
+           risk_level = EXCLUDED.risk_level,
+           reason = EXCLUDED.reason,
+           updated_at = NOW()
+         WHERE (dataset_rows.risk_level, dataset_rows.reason) IS DISTINCT FROM (EXCLUDED.risk_level, EXCLUDED.reason)`,
+        [versionId]
+      );
+      await client.query(
+        `DELETE FROM dataset_rows d
+         WHERE NOT EXISTS (
+           SELECT 1 FROM dataset_version_rows v
+           WHERE v.version_id = $1 AND v.ingredient_name = d.ingredient_name
+         )`,
+        [versionId]
+      );
+
+      // Aliases as they were in that version
+      await client.query('DELETE FROM ingredient_aliases');
+      await client.query(
+        `INSERT INTO ingredient_aliases (ingredient_id, alias, alias_type)
+         SELECT d.id, a->>'alias', a->>'type'
+         FROM dataset_version_rows v
+         JOIN dataset_rows d ON d.ingredient_name = v.ingredient_name
+         CROSS JOIN LATERAL jsonb_array_elements(v.aliases) AS a
+         WHERE v.version_id = $1
+         ON CONFLICT DO NOTHING`,
+        [versionId]
+      );
+
+      const version = await this.createSnapshot(client, {
+        source: 'rollback',
+        description: `Rollback to version ${versionId}`,
+        createdBy,
+        restoredFrom: versionId,
+      });
+
+      await client.query('COMMIT');
+      return version;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new DatasetVersionRepository();
@@ -0,0 +1,163 @@
+const db = require('../db');
+
+const JOB_COLUMNS = `id, user_id, type, status, stage, stages, input, result, error, attempts,
+  webhook_url, webhook_status, webhook_attempts, created_at, updated_at, started_at, completed_at`;
+
+class ScanJobRepository {
+  /**
+   * Insert a queued job and its images in one transaction
+   */
+  async create({ id, userId, type, input, webhookUrl, images = [] }) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO scan_jobs (id, user_id, type, input, webhook_url)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${JOB_COLUMNS}`,
+        [id, userId, type, JSON.stringify(input), webhookUrl]
+      );
+
+      for (const [position, image] of images.entries()) {
+        await client.query(
+          `INSERT INTO scan_job_images
+             (job_id, position, filename, data, original_hash, preprocessing_steps, preprocessing_scale)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            id,
+            position,
+            image.originalname || null,
+            image.buffer,
+            image.originalHash || null,
+            JSON.stringify(image.preprocessingSteps || []),
+            image.preprocessingScale || 1,
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claim the oldest queued job for this worker; concurrent workers skip locked rows
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext() {
+    const result = await db.query(
+      `UPDATE scan_jobs
+       SET status = 'running', attempts = attempts + 1, started_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM scan_jobs
+         WHERE status = 'queued'
+         ORDER BY created_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING ${JOB_COLUMNS}`
+    );
+    return result.rows[0] || null;
+  }
+
+  async recordStage(id, stage) {
+    await db.query(
+      `UPDATE scan_jobs
+       SET stage = $2,
+           stages = stages || jsonb_build_array(jsonb_build_object('name', $2::text, 'at', NOW())),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, stage]
+    );
+  }
+
+  async complete(id, result) {
+    const updated = await db.query(
+      `UPDATE scan_jobs
+       SET status = 'completed', result = $2, error = NULL, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${JOB_COLUMNS}`,
+      [id, JSON.stringify(result)]
+    );
+    return updated.rows[0] || null;
+  }
+
+  async fail(id, error) {
+    const updated = await db.query(
+      `UPDATE scan_jobs
+       SET status = 'failed', error = $2, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${JOB_COLUMNS}`,
+      [id, JSON.stringify(error)]
+    );
+    return updated.rows[0] || null;
+  }
+
+  async findById(id) {
+    const result = await db.query(`SELECT ${JOB_COLUMNS} FROM scan_jobs WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  async loadImages(jobId) {
+    const result = await db.query(
+      `SELECT position, filename, data, original_hash, preprocessing_steps, preprocessing_scale
+       FROM scan_job_images
+       WHERE job_id = $1
+       ORDER BY position`,
+      [jobId]
+    );
+    return result.rows;
+  }
+
+  async deleteImages(jobId) {
+    await db.query('DELETE FROM scan_job_images WHERE job_id = $1', [jobId]);
+  }
+
+  /**
+   * Recover jobs left running by a worker that died: requeue them while they
+   * have attempts left, fail them otherwise
+   * @param {number} staleSeconds - Running jobs not updated for this long are stale
+   * @param {number} maxAttempts
+   * @returns {Promise<{requeued: number, failed: Object[]}>} - failed holds the jobs given up on
+   */
+  async requeueStale(staleSeconds, maxAttempts) {
+    const requeued = await db.query(
+      `UPDATE scan_jobs
+       SET status = 'queued', stage = NULL, stages = '[]'::jsonb, updated_at = NOW()
+       WHERE status = 'running'
+         AND updated_at < NOW() - make_interval(secs => $1::int)
+         AND attempts < $2`,
+      [staleSeconds, maxAttempts]
+    );
+
+    const failed = await db.query(
+      `UPDATE scan_jobs
+       SET status = 'failed',
+           error = jsonb_build_object('error', 'Scan job was interrupted too many times'),
+           completed_at = NOW(),
+           updated_at = NOW()
+       WHERE status = 'running'
+         AND updated_at < NOW() - make_interval(secs => $1::int)
+         AND attempts >= $2
+       RETURNING ${JOB_COLUMNS}`,
+      [staleSeconds, maxAttempts]
+    );
+
+    return { requeued: requeued.rowCount, failed: failed.rows };
+  }
+
+  async recordWebhook(id, status, attempts) {
+    await db.query(
+      `UPDATE scan_jobs SET webhook_status = $2, webhook_attempts = $3, updated_at = NOW() WHERE id = $1`,
+      [id, status, attempts]
+    );
+  }
+}
+
+module.exports = new ScanJobRepository();
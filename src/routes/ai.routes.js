@@ -1,7 +1,8 @@
 const router = require('express').Router();
 const aiController = require('../controllers/ai.controller');
 const requireAuth = require('../middlewares/requireAuth');
-const { validate } = require('../middlewares/validation');
+const requireAdmin = require('../middlewares/requireAdmin');
+const { validate, validateQuery } = require('../middlewares/validation');
 
 // Validation schema for explainIngredients
 const explainIngredientsSchema = {
@@ -58,4 +59,7 @@ router.get('/health', aiController.health);
 // POST /explain - Explain ingredients using AI (protected, requires auth)
 router.post('/explain', requireAuth, validateIngredients, aiController.explainIngredients);
 
+// DELETE /cache - Invalidate cached AI classifications (admin only)
+router.delete('/cache', requireAuth, requireAdmin, validateQuery('aiCacheInvalidate'), aiController.invalidateCache);
+
 module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const datasetController = require('../controllers/dataset.controller');
+const requireAdmin = require('../middlewares/requireAdmin');
+const { validateQuery } = require('../middlewares/validation');
 
 router.get('/', datasetController.getDataset);
 router.post('/sync', datasetController.syncDataset);
 
+// Dataset versions: one per sync, import or rollback
+router.get('/versions', validateQuery('pagination'), datasetController.listVersions);
+router.get('/versions/diff', validateQuery('datasetVersionDiff'), datasetController.diffVersions);
+router.post('/versions/:version/rollback', requireAdmin, datasetController.rollbackVersion);
+
 module.exports = router;
@@ -1,4 +1,7 @@
 const router = require('express').Router();
+const { getCircuitStates: getOcrCircuitStates } = require('../services/ocr.service');
+const { getCircuitState: getAICircuitState } = require('../services/aiExplain.service');
+const { getCircuitState: getAIModelCircuitState } = require('../services/aiModel.service');
 
 router.get('/', (req, res) => {
   res.json({
@@ -9,4 +12,21 @@ router.get('/', (req, res) => {
   });
 });
 
+// Circuit breaker state of the OCR engines and AI services.
+// "degraded" while any breaker is not closed.
+router.get('/dependencies', (req, res) => {
+  const dependencies = [
+    ...getOcrCircuitStates(),
+    getAICircuitState(),
+    getAIModelCircuitState(),
+  ];
+
+  res.json({
+    status: dependencies.every(dependency => dependency.state === 'closed') ? 'ok' : 'degraded',
+    dependencies,
+    time: new Date().toISOString(),
+    requestId: req.id,
+  });
+});
+
 module.exports = router;
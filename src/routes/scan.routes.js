@@ -1,16 +1,27 @@
 const router = require('express').Router();
 const upload = require('../middlewares/upload');
-const { scanImage, analyzeText } = require('../controllers/scan.controller');
+const preprocessImage = require('../middlewares/preprocessImage');
+const { scanImage, scanImages, analyzeText, analyzeTextStream } = require('../controllers/scan.controller');
+const { getJob } = require('../controllers/scanJob.controller');
 const { validate } = require('../middlewares/validation');
 const optionalAuth = require('../middlewares/optionalAuth');
 
 // Apply optionalAuth to all scan routes (allows guests and authenticated users)
 router.use(optionalAuth);
 
-// Image scan -> OCR -> analysis
-router.post('/', upload.single('image'), scanImage);
+// Image scan -> preprocessing -> OCR -> analysis
+router.post('/', upload.single('image'), preprocessImage, scanImage);
+
+// Several photos of one wrapped label -> preprocessing -> OCR each -> stitch -> analysis
+router.post('/multi', upload.array('images', upload.MAX_SCAN_IMAGES), preprocessImage, scanImages);
 
 // Analyze (edited) text -> analysis
 router.post('/analyze', validate('analyzeText'), analyzeText);
 
+// Same analysis, streamed as Server-Sent Events (tokens, dataset matches, AI batches, result)
+router.post('/analyze/stream', validate('analyzeText'), analyzeTextStream);
+
+// Progress / result of an async (?async=true) scan
+router.get('/jobs/:id', getJob);
+
 module.exports = router;
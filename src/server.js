@@ -18,6 +18,7 @@ console.log('Environment check:', {
 
 const app = require('./app');
 const db = require('./db');
+const { startScanWorker, isWorkerEnabled } = require('./services/scanJobs.service');
 
 // Render-safe port binding
 const PORT = process.env.PORT || 4000;
@@ -52,6 +53,11 @@ const startServer = async () => {
     } catch (err) {
       console.warn('⚠️ Schema init threw an error:', err?.message || err);
     }
+
+    // Process async scan jobs in this process unless a separate worker does
+    if (isWorkerEnabled()) {
+      startScanWorker();
+    }
   }
 
   // Start the Express server
@@ -0,0 +1,175 @@
+const db = require('../db');
+const { normalizeName, getActiveProvider, getActiveModel, PROMPT_VERSION } = require('./aiExplain.service');
+
+/**
+ * Persistent cache of AI ingredient classifications (ai_classification_cache),
+ * keyed by normalized ingredient name, provider:model (the classifiedBy value,
+ * stored in the model column) and prompt version, so each ingredient is only
+ * sent to the AI provider once per provider/model/prompt. Providers that share
+ * a model name never see each other's verdicts.
+ *
+ * The cache is best-effort: database errors are logged and treated as misses.
+ *
+ * Env:
+ * - AI_CACHE_ENABLED: set to "false" to bypass the cache (default on; always
+ *   bypassed for AI_PROVIDER=mock)
+ * - AI_CACHE_TTL_SECONDS: how long entries stay valid (default 2592000 = 30 days, 0 = forever)
+ */
+
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Fixture verdicts from the mock provider (AI_PROVIDER=mock) are never cached
+function isCacheEnabled() {
+  return (process.env.AI_CACHE_ENABLED || 'true').toLowerCase() !== 'false'
+    && getActiveProvider().name !== 'mock';
+}
+
+function getTtlSeconds() {
+  const value = parseInt(process.env.AI_CACHE_TTL_SECONDS, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_TTL_SECONDS;
+}
+
+// Cache key context for the currently configured provider, model and prompt
+function getCacheContext() {
+  return { model: `${getActiveProvider().name}:${getActiveModel()}`, promptVersion: PROMPT_VERSION };
+}
+
+/**
+ * Look up cached classifications
+ * @param {string[]} names - Ingredient names
+ * @returns {Promise<Map<string, {status: string, explanation: string, confidence: number|null,
+ *   classifiedBy: string|null}>>} - normalized name -> cached classification, for hits only
+ */
+async function getCachedClassifications(names) {
+  const hits = new Map();
+  const normalizedNames = [...new Set(names.map(normalizeName).filter(Boolean))];
+  if (!isCacheEnabled() || normalizedNames.length === 0) {
+    return hits;
+  }
+
+  const { model, promptVersion } = getCacheContext();
+
+  try {
+    const result = await db.pool.query(
+      `SELECT normalized_name, status, explanation, confidence, classified_by
+       FROM ai_classification_cache
+       WHERE normalized_name = ANY($1::text[])
+         AND model = $2
+         AND prompt_version = $3
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+      [normalizedNames, model, promptVersion]
+    );
+
+    for (const row of result.rows) {
+      hits.set(row.normalized_name, {
+        status: row.status,
+        explanation: row.explanation || '',
+        confidence: row.confidence,
+        classifiedBy: row.classified_by
+      });
+    }
+  } catch (error) {
+    console.warn(`[AICache] Lookup failed: ${error.message}`);
+  }
+
+  return hits;
+}
+
+/**
+ * Store classifications returned by the AI provider
+ * @param {Array<{name: string, status: string, explanation: string, confidence: number,
+ *   classifiedBy: string}>} results
+ * @returns {Promise<number>} - Number of entries written
+ */
+async function storeClassifications(results) {
+  if (!isCacheEnabled() || !results || results.length === 0) {
+    return 0;
+  }
+
+  // One row per name; the last result for a name wins.
+  // Placeholders for ingredients the provider skipped are never cached.
+  const byName = new Map();
+  for (const result of results) {
+    if (result.missing) continue;
+    const normalized = normalizeName(result.name);
+    if (normalized && result.status) byName.set(normalized, result);
+  }
+  if (byName.size === 0) {
+    return 0;
+  }
+
+  const { model, promptVersion } = getCacheContext();
+  const ttlSeconds = getTtlSeconds();
+  const entries = [...byName.entries()];
+
+  try {
+    await db.pool.query(
+      `INSERT INTO ai_classification_cache
+         (normalized_name, model, prompt_version, status, explanation, confidence, classified_by,
+          created_at, expires_at)
+       SELECT e.normalized_name, $6, $7, e.status, e.explanation, e.confidence, e.classified_by, NOW(),
+              CASE WHEN $8::int > 0 THEN NOW() + make_interval(secs => $8::int) END
+       FROM unnest($1::text[], $2::text[], $3::text[], $4::real[], $5::text[])
+         AS e(normalized_name, status, explanation, confidence, classified_by)
+       ON CONFLICT (normalized_name, model, prompt_version)
+       DO UPDATE SET
+         status = EXCLUDED.status,
+         explanation = EXCLUDED.explanation,
+         confidence = EXCLUDED.confidence,
+         classified_by = EXCLUDED.classified_by,
+         created_at = EXCLUDED.created_at,
+         expires_at = EXCLUDED.expires_at`,
+      [
+        entries.map(([normalized]) => normalized),
+        entries.map(([, result]) => result.status),
+        entries.map(([, result]) => result.explanation || ''),
+        entries.map(([, result]) => result.confidence ?? null),
+        entries.map(([, result]) => result.classifiedBy || null),
+        model,
+        promptVersion,
+        ttlSeconds
+      ]
+    );
+    return entries.length;
+  } catch (error) {
+    console.warn(`[AICache] Store failed: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Delete cached classifications. With no filters, clears the whole cache.
+ * @param {Object} filters
+ * @param {string} [filters.name] - Ingredient name (normalized before matching)
+ * @param {string} [filters.model] - "provider:model", or a model name to match it under any provider
+ * @param {string} [filters.promptVersion] - Prompt version
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+async function invalidateClassifications({ name, model, promptVersion } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (name) {
+    params.push(normalizeName(name));
+    conditions.push(`normalized_name = $${params.length}`);
+  }
+  if (model) {
+    params.push(model);
+    conditions.push(`(model = $${params.length} OR right(model, length($${params.length}) + 1) = ':' || $${params.length})`);
+  }
+  if (promptVersion) {
+    params.push(promptVersion);
+    conditions.push(`prompt_version = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await db.pool.query(`DELETE FROM ai_classification_cache ${whereClause}`, params);
+  return result.rowCount;
+}
+
+module.exports = {
+  getCachedClassifications,
+  storeClassifications,
+  invalidateClassifications,
+  isCacheEnabled,
+};
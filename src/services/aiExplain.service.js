@@ -1,18 +1,65 @@
-const axios = require('axios');
+const { getProvider } = require('./aiProviders');
+const { TIMEOUT_MS, isAvailabilityError } = require('./aiProviders/providerUtils');
+const { CLASSIFICATION_JSON_SCHEMA, validateClassification } = require('../utils/aiClassificationSchema');
+const { getCircuitBreaker } = require('../utils/circuitBreaker');
 
 /**
- * AI Service for explaining ingredients using external AI provider
- * Supports OpenAI and other providers via HTTP API
+ * AI Service for explaining ingredients using an AI provider adapter
+ * (see aiProviders/ for the adapters and their own settings)
  * 
  * Configuration (from environment variables):
- * - AI_API_KEY (required): API key for AI provider
- * - AI_PROVIDER (default "openai"): AI provider name
- * - AI_MODEL (default "gpt-4o-mini"): Model to use
+ * - AI_PROVIDER (default "openai"): openai (any OpenAI-compatible API),
+ *   anthropic, ollama, llamacpp, or mock (recorded classifications from a
+ *   fixture, for offline development and tests)
+ * - AI_API_KEY: API key, required by the hosted providers
+ * - AI_BASE_URL (optional): override the provider's default endpoint
+ * - AI_MODEL (default: the provider's default model): Model to use
+ * - AI_STRUCTURED_OUTPUT (default true): request output against
+ *   CLASSIFICATION_JSON_SCHEMA; set to "false" for OpenAI-compatible servers
+ *   that reject response_format
  * - MAX_AI_INGREDIENTS (default 25): Maximum ingredients per AI batch
+ * - AI_CONCURRENCY (default 3): Maximum batches sent to the provider at once
+ * - AI_MIN_CONFIDENCE (default 0.6): classifications below this confidence
+ *   need review instead of being taken at face value
+ *
+ * Every returned item is validated; invalid or missing items are retried one
+ * ingredient at a time, and ingredients that still fail are left unclassified.
+ *
+ * Provider calls go through a circuit breaker per provider: while it is open
+ * (after repeated outages), calls fail at once instead of waiting for timeouts.
  */
 
-const TIMEOUT_MS = 20000; // 20 seconds timeout
 const MAX_AI_INGREDIENTS = parseInt(process.env.MAX_AI_INGREDIENTS || '25', 10);
+const AI_CONCURRENCY = Math.max(1, parseInt(process.env.AI_CONCURRENCY || '3', 10) || 1);
+
+// Bump whenever buildPrompt changes meaning, so cached classifications
+// made with the old prompt are no longer used
+const PROMPT_VERSION = '3';
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+/**
+ * Circuit breaker for a provider's requests
+ */
+function getProviderBreaker(provider) {
+  return getCircuitBreaker(`ai:${provider.name}`, { isFailure: isAvailabilityError });
+}
+
+/**
+ * Circuit breaker state of the active provider, for health reporting
+ * @returns {Object}
+ */
+function getCircuitState() {
+  return getProviderBreaker(getActiveProvider()).getState();
+}
+
+/**
+ * Whether the active provider's circuit breaker is letting calls through
+ * @returns {boolean}
+ */
+function isProviderAvailable() {
+  return getProviderBreaker(getActiveProvider()).isAvailable();
+}
 
 /**
  * Normalize ingredient name for matching
@@ -43,59 +90,155 @@ function normalizeName(name) {
   return normalized;
 }
 
-// Get API key - ONLY from AI_API_KEY (no fallback)
-function getApiKey() {
-  return process.env.AI_API_KEY;
-}
-
 // Check if API key is configured
 function isApiKeyConfigured() {
   return !!process.env.AI_API_KEY;
 }
 
+/**
+ * Resolve the configured provider adapter, falling back to "openai" for bad values
+ * @returns {Object} - Adapter from aiProviders
+ */
+function getActiveProvider() {
+  const name = (process.env.AI_PROVIDER || 'openai').toLowerCase().trim();
+  const provider = getProvider(name);
+  if (!provider) {
+    console.warn(`[AI Service] Unknown AI_PROVIDER "${name}", using "openai"`);
+    return getProvider('openai');
+  }
+  return provider;
+}
+
+// Check if the active provider has what it needs to be called (API key, or a local server)
+function isProviderConfigured() {
+  return getActiveProvider().isConfigured();
+}
+
+// Check if structured output should be requested from the provider
+function isStructuredOutputEnabled() {
+  return (process.env.AI_STRUCTURED_OUTPUT || 'true').toLowerCase() !== 'false';
+}
+
+// Get the confidence below which an AI classification needs review
+function getMinConfidence() {
+  const value = parseFloat(process.env.AI_MIN_CONFIDENCE);
+  return value >= 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+// Get the configured model name
+function getActiveModel() {
+  return process.env.AI_MODEL || getActiveProvider().defaultModel;
+}
+
 // Get provider configuration and log it (never log the API key value)
 function getProviderConfig() {
-  const provider = process.env.AI_PROVIDER || 'openai';
-  const apiKey = getApiKey();
-  const model = process.env.AI_MODEL || 'gpt-4o-mini';
+  const provider = getActiveProvider();
+  const model = getActiveModel();
   
   // Log provider, model, and whether API key is set (NEVER log the key value)
   const apiKeyStatus = isApiKeyConfigured() ? 'set' : 'not set';
-  console.log(`[AI Service] Provider: ${provider}, Model: ${model}, AI_API_KEY: ${apiKeyStatus}`);
+  console.log(`[AI Service] Provider: ${provider.name}, Model: ${model}, Base URL: ${provider.getBaseUrl()}, AI_API_KEY: ${apiKeyStatus}`);
   
-  return { provider, apiKey, model };
+  return { provider, model };
 }
 
 /**
  * Explain ingredients using AI (single batch)
+ * Ingredients without a valid item in the batch response are retried one at a
+ * time; those that still fail are left out of the result.
  * @param {string[]} ingredients - Array of ingredient names
- * @returns {Promise<Array>} - Array of { name, status, explanation }
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts in-flight provider calls and skips remaining retries
+ * @returns {Promise<Array>} - Array of valid { name, status, explanation, confidence, classifiedBy }
  */
-async function explainIngredients(ingredients) {
-  const { provider, apiKey, model } = getProviderConfig();
+async function explainIngredients(ingredients, options = {}) {
+  const { signal } = options;
+  const { provider, model } = getProviderConfig();
 
-  if (!apiKey) {
+  if (!provider.isConfigured()) {
     throw new Error('AI not configured. Missing AI_API_KEY');
   }
 
   const prompt = buildPrompt(ingredients);
 
+  let results;
   try {
-    return await callAIWithRetry(provider, apiKey, model, prompt, 0);
+    results = await callAIWithRetry(provider, model, prompt, 0, signal);
   } catch (error) {
     console.error('AI explain error:', error.message);
     throw error;
   }
+
+  if (ingredients.length > 1) {
+    const classified = new Set(results.map(result => result.normalized_name));
+    const retryIngredients = ingredients.filter(ing => !classified.has(normalizeName(ing)));
+
+    for (const ing of retryIngredients) {
+      if (signal?.aborted || !getProviderBreaker(provider).isAvailable()) break;
+      const result = await retrySingleIngredient(provider, model, ing, signal);
+      if (result) results.push(result);
+    }
+  }
+
+  // Provider and model that produced the verdicts, e.g. "openai:gpt-4o-mini"
+  const classifiedBy = `${provider.name}:${model}`;
+  return results.map(result => ({ ...result, classifiedBy }));
+}
+
+/**
+ * Classify one ingredient on its own after it came back invalid or missing
+ * from a batch
+ * @returns {Promise<Object|null>} - Valid result named after the input, or null
+ */
+async function retrySingleIngredient(provider, model, ingredient, signal) {
+  console.warn(`[AI Service] Retrying "${ingredient}" individually`);
+
+  try {
+    const [result] = await callAIWithRetry(provider, model, buildPrompt([ingredient]), 0, signal);
+    if (result) {
+      return { ...result, name: ingredient, normalized_name: normalizeName(ingredient) };
+    }
+    console.warn(`[AI Service] No valid classification for "${ingredient}" after individual retry`);
+  } catch (error) {
+    console.warn(`[AI Service] Individual retry for "${ingredient}" failed: ${error.message}`);
+  }
+
+  return null;
+}
+
+/**
+ * Run worker over items with at most `limit` calls in flight
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
 }
 
 /**
  * Explain ingredients using AI with automatic batching
- * Processes all ingredients in batches, deduplicates, and ensures output matches input
+ * Processes all ingredients in concurrent batches, deduplicates, and ensures output matches input.
+ * When the deadline passes, in-flight calls are aborted, no new batches start and
+ * every ingredient not yet classified comes back as a pending placeholder.
  * @param {string[]} ingredients - Array of ingredient names
  * @param {number} batchSize - Maximum ingredients per batch (default MAX_AI_INGREDIENTS)
- * @returns {Promise<Array>} - Array of { name, status, explanation }
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum batches in flight (default AI_CONCURRENCY)
+ * @param {number} [options.deadline] - Epoch ms after which AI work stops (default: none)
+ * @param {Function} [options.onBatch] - Called with each batch's classifications as the batch
+ *   finishes (before the deadline), for progressive display
+ * @returns {Promise<Array>} - Array of { name, status, explanation, confidence, classifiedBy };
+ *   placeholders also carry missing: true, plus pending: true when cut off by the deadline
+ *   or failed: true when their batch's provider call failed
  */
-async function explainIngredientsBatched(ingredients, batchSize = MAX_AI_INGREDIENTS) {
+async function explainIngredientsBatched(ingredients, batchSize = MAX_AI_INGREDIENTS, options = {}) {
+  const { concurrency = AI_CONCURRENCY, deadline, onBatch } = options;
+
   if (!ingredients || ingredients.length === 0) {
     return [];
   }
@@ -122,29 +265,65 @@ async function explainIngredientsBatched(ingredients, batchSize = MAX_AI_INGREDI
     batches.push(uniqueIngredients.slice(i, i + batchSize));
   }
 
-  // Process each batch and collect results
+  // Abort everything still running when the deadline passes
+  const controller = new AbortController();
+  let timer = null;
+  if (deadline) {
+    timer = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+  }
+
+  // Process batches concurrently and collect results
   const allResults = [];
-  const aiReturnedNames = new Set();
+  const settledNames = new Set(); // Ingredients whose batch finished before the deadline
+  const failedNames = new Set(); // Ingredients whose batch's provider call failed
+
+  const runBatch = async (batch) => {
+    if (controller.signal.aborted) return;
 
-  for (const batch of batches) {
+    const classified = [];
     try {
-      const batchResults = await explainIngredients(batch);
+      const batchResults = await explainIngredients(batch, { signal: controller.signal });
       
       if (batchResults && Array.isArray(batchResults)) {
         for (const result of batchResults) {
-          const normalizedResultName = normalizeName(result.name);
-          aiReturnedNames.add(normalizedResultName);
-          allResults.push({
+          classified.push({
             name: result.name,
             status: result.status,
-            explanation: result.explanation
+            explanation: result.explanation,
+            confidence: result.confidence,
+            classifiedBy: result.classifiedBy
           });
         }
+        allResults.push(...classified);
       }
     } catch (error) {
       console.warn(`AI batch failed: ${error.message}`);
-      // Continue with other batches
+      // Continue with other batches; a call cut off by the deadline is pending, not failed
+      if (!controller.signal.aborted) {
+        batch.forEach(ing => failedNames.add(normalizeName(ing)));
+      }
+    }
+
+    if (!controller.signal.aborted) {
+      batch.forEach(ing => settledNames.add(normalizeName(ing)));
+      if (onBatch && classified.length > 0) {
+        try {
+          await onBatch(classified);
+        } catch (error) {
+          console.warn(`AI batch callback failed: ${error.message}`);
+        }
+      }
     }
+  };
+
+  try {
+    await runWithConcurrency(batches, concurrency, runBatch);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (controller.signal.aborted) {
+    console.warn(`[AI Service] Deadline reached, ${uniqueIngredients.length - settledNames.size} ingredient(s) left pending`);
   }
 
   // Create a lookup map for quick access
@@ -166,14 +345,41 @@ async function explainIngredientsBatched(ingredients, batchSize = MAX_AI_INGREDI
       finalOutput.push({
         name: ing, // Use original input name
         status: result.status,
-        explanation: result.explanation
+        explanation: result.explanation,
+        confidence: result.confidence,
+        classifiedBy: result.classifiedBy
+      });
+    } else if (!settledNames.has(normalized)) {
+      // The deadline passed before this ingredient's batch finished
+      finalOutput.push({
+        name: ing,
+        status: 'Unknown',
+        explanation: 'AI classification did not finish before the deadline.',
+        confidence: null,
+        classifiedBy: null,
+        missing: true, // Placeholder, not a real classification
+        pending: true
+      });
+    } else if (failedNames.has(normalized)) {
+      // The provider call for this ingredient's batch failed
+      finalOutput.push({
+        name: ing,
+        status: 'Unknown',
+        explanation: 'AI classification failed for this ingredient.',
+        confidence: null,
+        classifiedBy: null,
+        missing: true, // Placeholder, not a real classification
+        failed: true
       });
     } else {
-      // AI did not return an entry for this ingredient
+      // AI did not return a valid entry for this ingredient, even when asked alone
       finalOutput.push({
         name: ing,
-        status: 'Safe', // Default to Safe when AI doesn't return
-        explanation: 'No AI output returned for this ingredient.'
+        status: 'Unknown',
+        explanation: 'No valid AI output returned for this ingredient.',
+        confidence: null,
+        classifiedBy: null,
+        missing: true // Placeholder, not a real classification
       });
     }
   }
@@ -182,16 +388,34 @@ async function explainIngredientsBatched(ingredients, batchSize = MAX_AI_INGREDI
 }
 
 /**
- * Health check for AI service
- * @returns {Promise<{status: string, provider: string, model: string}>}
+ * Health check for AI service - reports the active adapter and whether its
+ * server can be reached
+ * @returns {Promise<{status: string, provider: string, model: string, baseUrl: string,
+ *   reachable: boolean|null, error: string|null}>} - reachable is null when the
+ *   provider isn't configured (nothing to check)
  */
 async function checkHealth() {
-  const { provider, apiKey, model } = getProviderConfig();
-  
+  const { provider, model } = getProviderConfig();
+  const health = {
+    status: 'missing_api_key',
+    provider: provider.name,
+    model: model,
+    baseUrl: provider.getBaseUrl(),
+    reachable: null,
+    error: null,
+    circuit: getProviderBreaker(provider).getState()
+  };
+
+  if (!provider.isConfigured()) {
+    return health;
+  }
+
+  const { reachable, error } = await provider.ping();
   return {
-    status: apiKey ? 'available' : 'missing_api_key',
-    provider: provider,
-    model: model
+    ...health,
+    status: reachable ? 'available' : 'unreachable',
+    reachable,
+    error
   };
 }
 
@@ -203,7 +427,7 @@ async function checkHealth() {
 function buildPrompt(ingredients) {
   const ingredientList = ingredients.map(ing => `- ${ing}`).join('\n');
 
-  return `You are a cosmetic safety expert. Classify the following cosmetic/skincare ingredients as "Safe", "Risky", or "Restricted" and provide a brief 1-2 sentence explanation for each.
+  return `You are a cosmetic safety expert. Classify the following cosmetic/skincare ingredients as "Safe", "Risky", or "Restricted", provide a brief 1-2 sentence explanation for each, and say how confident you are in each classification.
 
 For cosmetic safety context:
 - "Safe": Generally considered safe for use in cosmetics at normal concentrations
@@ -211,7 +435,9 @@ For cosmetic safety context:
 - "Restricted": Known to be restricted or banned in some regions, or have significant safety concerns
 
 IMPORTANT:
-- Return ONLY a valid JSON array with objects containing: name, status, explanation
+- Return ONLY a valid JSON object whose "classifications" array holds objects containing: name, status, explanation, confidence
+- status must be exactly one of "Safe", "Risky" or "Restricted"
+- confidence is a number from 0 to 1; use a low value when you don't recognize the ingredient or the name looks misspelled, rather than guessing a confident status
 - Do NOT include any markdown, text, or explanations outside the JSON
 - Do NOT make medical claims
 - This is informational only
@@ -221,130 +447,58 @@ Ingredients to classify:
 ${ingredientList}
 
 Return JSON in this exact format:
-[
-  { "name": "ingredient name", "status": "Safe|Risky|Restricted", "explanation": "brief explanation" }
-]`;
+{
+  "classifications": [
+    { "name": "ingredient name", "status": "Safe|Risky|Restricted", "explanation": "brief explanation", "confidence": 0.9 }
+  ]
+}`;
 }
 
 /**
  * Call AI provider with retry logic
- * @param {string} provider - AI provider (openai, etc)
- * @param {string} apiKey - API key
+ * @param {Object} provider - Provider adapter from aiProviders
  * @param {string} model - Model name
  * @param {string} prompt - Prompt to send
  * @param {number} retryCount - Current retry count
- * @returns {Promise<Array>} - Parsed results
+ * @param {AbortSignal} [signal] - Aborts the provider call
+ * @returns {Promise<Array>} - Valid results; invalid items are logged and dropped
  */
-async function callAIWithRetry(provider, apiKey, model, prompt, retryCount) {
+async function callAIWithRetry(provider, model, prompt, retryCount, signal) {
   try {
-    const response = await callAIProvider(provider, apiKey, model, prompt);
+    const schema = isStructuredOutputEnabled() ? CLASSIFICATION_JSON_SCHEMA : null;
+    const response = await getProviderBreaker(provider).exec(
+      () => provider.complete(prompt, { model, schema, signal })
+    );
     
     // Try to parse the response
-    const results = parseAIResponse(response);
-    
-    if (!results || !Array.isArray(results)) {
-      throw new Error('Invalid response format');
+    const { valid, invalid } = parseAIResponse(response);
+
+    for (const { item, error } of invalid) {
+      console.warn(`[AI Service] Invalid classification ${JSON.stringify(item).substring(0, 200)}: ${error}`);
     }
     
-    return results;
+    return valid;
   } catch (error) {
     // Retry once if we got a non-JSON response or parsing error
-    if (retryCount < 1 && (error.message.includes('JSON') || error.message.includes('parse'))) {
+    if (retryCount < 1 && !signal?.aborted && (error.message.includes('JSON') || error.message.includes('parse'))) {
       console.warn('AI response parse error, retrying with correction prompt...');
-      const correctedPrompt = prompt + '\n\nIMPORTANT: You MUST return only valid JSON array, no other text or markdown. Include an entry for every ingredient in the input.';
-      return callAIWithRetry(provider, apiKey, model, correctedPrompt, retryCount + 1);
+      const correctedPrompt = prompt + '\n\nIMPORTANT: You MUST return only a valid JSON object with a "classifications" array, no other text or markdown. Include an entry for every ingredient in the input.';
+      return callAIWithRetry(provider, model, correctedPrompt, retryCount + 1, signal);
     }
     throw error;
   }
 }
 
 /**
- * Call the AI provider API
- * @param {string} provider - AI provider
- * @param {string} apiKey - API key
- * @param {string} model - Model name
- * @param {string} prompt - Prompt
- * @returns {Promise<string>} - AI response text
- */
-async function callAIProvider(provider, apiKey, model, prompt) {
-  if (provider === 'openai') {
-    return callOpenAI(apiKey, model, prompt);
-  }
-  
-  // Default to OpenAI-compatible API
-  return callOpenAI(apiKey, model, prompt);
-}
-
-/**
- * Call OpenAI API
- * @param {string} apiKey - OpenAI API key
- * @param {string} model - Model name
- * @param {string} prompt - Prompt
- * @returns {Promise<string>} - AI response text
- */
-async function callOpenAI(apiKey, model, prompt) {
-  try {
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: TIMEOUT_MS
-      }
-    );
-
-    if (!response.data?.choices?.[0]?.message?.content) {
-      throw new Error('Invalid OpenAI response format');
-    }
-
-    return response.data.choices[0].message.content;
-  } catch (error) {
-    // Better error logging for OpenAI call
-    if (error.response) {
-      // Server responded with error status
-      const statusCode = error.response.status;
-      let responseBody = '';
-      try {
-        responseBody = JSON.stringify(error.response.data);
-      } catch (e) {
-        responseBody = String(error.response.data);
-      }
-      // Truncate to 500 chars
-      responseBody = responseBody.substring(0, 500);
-      
-      console.error(`[OpenAI Error] Status: ${statusCode}, Response: ${responseBody}, Message: ${error.message}`);
-    } else if (error.request) {
-      // Request was made but no response received
-      console.error(`[OpenAI Error] No response received, Message: ${error.message}`);
-    } else {
-      // Error setting up request
-      console.error(`[OpenAI Error] Request setup failed, Message: ${error.message}`);
-    }
-    throw error;
-  }
-}
-
-/**
- * Parse AI response into structured results
+ * Parse AI response into validated results
+ * Accepts the structured { classifications: [...] } shape or a bare array (from
+ * providers running without structured output), with or without a markdown fence.
  * @param {string} responseText - Raw AI response
- * @returns {Array} - Parsed results with normalized names
+ * @returns {{valid: Array, invalid: Array<{item: *, error: string}>}} - Valid results
+ *   with normalized names, and the items that failed validation
+ * @throws {Error} - When the response holds no parseable JSON classifications
  */
 function parseAIResponse(responseText) {
-  // Try to extract JSON from the response
-  // The response might have markdown code blocks or extra text
   let jsonStr = responseText.trim();
   
   // Remove markdown code blocks if present
@@ -354,42 +508,49 @@ function parseAIResponse(responseText) {
     jsonStr = match[1].trim();
   }
   
-  // Try to find JSON array in the response
-  const jsonMatch = jsonStr.match(/\[[\s\S]*\]/);
-  if (jsonMatch) {
-    jsonStr = jsonMatch[0];
+  const parsed = JSON.parse(jsonStr);
+  const items = Array.isArray(parsed) ? parsed : parsed?.classifications;
+  
+  if (!Array.isArray(items)) {
+    throw new Error('Invalid response format: no classifications array in JSON');
   }
   
-  const results = JSON.parse(jsonStr);
+  const valid = [];
+  const invalid = [];
+  
+  for (const item of items) {
+    const candidate = item && typeof item === 'object'
+      ? { ...item, status: normalizeStatus(item.status) }
+      : item;
+    const { value, error } = validateClassification(candidate);
+    
+    if (error) {
+      invalid.push({ item, error });
+      continue;
+    }
+    
+    valid.push({
+      name: value.name,
+      normalized_name: normalizeName(value.name), // Internal use for matching
+      status: value.status,
+      explanation: value.explanation,
+      confidence: value.confidence
+    });
+  }
   
-  // Validate and normalize the results
-  // Also create normalized_name internally for matching
-  return results.map(item => {
-    const name = String(item.name || item.ingredient || '').trim();
-    return {
-      name: name,
-      normalized_name: normalizeName(name), // Internal use for matching
-      status: normalizeStatus(item.status),
-      explanation: String(item.explanation || item.reason || '').trim()
-    };
-  }).filter(item => item.name); // Filter out empty items
+  return { valid, invalid };
 }
 
 /**
- * Normalize status to Safe/Risky/Restricted
- * Only returns Safe, Risky, or Restricted - no Unknown
+ * Normalize status synonyms to Safe/Risky/Restricted
+ * Unrecognized values are returned unchanged so validation rejects them
  * @param {string} status - Raw status
  * @returns {string} - Normalized status
  */
 function normalizeStatus(status) {
-  if (!status) return 'Safe';
+  if (typeof status !== 'string') return status;
   
-  const normalized = String(status).toLowerCase().trim();
-  
-  // Map Unknown/Not sure to Risky (conservative approach)
-  if (['unknown', 'not sure', 'unsure', 'unclear'].includes(normalized)) {
-    return 'Risky';
-  }
+  const normalized = status.toLowerCase().trim();
   
   if (['restricted', 'banned', 'high risk', 'danger'].includes(normalized)) {
     return 'Restricted';
@@ -399,8 +560,11 @@ function normalizeStatus(status) {
     return 'Risky';
   }
   
-  // Default to Safe for any unrecognized values
-  return 'Safe';
+  if (['safe', 'low risk'].includes(normalized)) {
+    return 'Safe';
+  }
+  
+  return status;
 }
 
 module.exports = {
@@ -408,8 +572,16 @@ module.exports = {
   explainIngredientsBatched,
   normalizeName,
   checkHealth,
+  getCircuitState,
+  isProviderAvailable,
   isApiKeyConfigured,
+  isProviderConfigured,
+  getActiveProvider,
+  getActiveModel,
+  getMinConfidence,
   TIMEOUT_MS,
-  MAX_AI_INGREDIENTS
+  MAX_AI_INGREDIENTS,
+  AI_CONCURRENCY,
+  PROMPT_VERSION
 };
 
@@ -1,4 +1,9 @@
 const axios = require('axios');
+const { isAvailabilityError } = require('./aiProviders/providerUtils');
+const { getCircuitBreaker } = require('../utils/circuitBreaker');
+
+// Repeated outages of the model service open this breaker, so calls fail fast until it recovers
+const breaker = getCircuitBreaker('aiModel', { isFailure: isAvailabilityError });
 
 /**
  * Analyze text using the AI model service.
@@ -27,14 +32,14 @@ async function analyzeWithAI(text) {
   };
 
   try {
-    const response = await axios.post(
+    const response = await breaker.exec(() => axios.post(
       `${aiServiceUrl}/predict`,
       requestBody,
       {
         headers,
         timeout: timeoutMs,
       }
-    );
+    ));
 
     // Normalize the AI response to our standard format
     const normalizedResult = normalizeAIResponse(response.data);
@@ -182,6 +187,33 @@ function calculateOverallRisk(riskLevels) {
   return 'LOW';
 }
 
+/**
+ * Whether AI_SERVICE_URL points at a model service
+ * @returns {boolean}
+ */
+function isModelServiceConfigured() {
+  return !!process.env.AI_SERVICE_URL;
+}
+
+/**
+ * Whether the model service's circuit breaker is letting calls through
+ * @returns {boolean}
+ */
+function isModelServiceAvailable() {
+  return breaker.isAvailable();
+}
+
+/**
+ * Circuit breaker state of the model service, for health reporting
+ * @returns {Object}
+ */
+function getCircuitState() {
+  return breaker.getState();
+}
+
 module.exports = {
   analyzeWithAI,
+  isModelServiceConfigured,
+  isModelServiceAvailable,
+  getCircuitState,
 };
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const { TIMEOUT_MS, HEALTH_TIMEOUT_MS, getBaseUrl, logRequestError, checkReachable } = require('./providerUtils');
+
+/**
+ * Anthropic messages API adapter (also fits Anthropic-compatible gateways).
+ *
+ * Configuration (from environment variables):
+ * - AI_API_KEY (required): sent as x-api-key
+ * - AI_BASE_URL (default "https://api.anthropic.com/v1")
+ * - AI_ANTHROPIC_VERSION (default "2023-06-01"): anthropic-version header
+ */
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+
+// Structured output is requested as a forced call of this tool, whose input is the JSON
+const OUTPUT_TOOL_NAME = 'record_classifications';
+
+function headers() {
+  return {
+    'x-api-key': process.env.AI_API_KEY,
+    'anthropic-version': process.env.AI_ANTHROPIC_VERSION || '2023-06-01',
+    'Content-Type': 'application/json'
+  };
+}
+
+function isConfigured() {
+  return !!process.env.AI_API_KEY;
+}
+
+/**
+ * Send a prompt as a single user message
+ * @param {string} prompt - Prompt
+ * @param {Object} options
+ * @param {string} options.model - Model name
+ * @param {Object} [options.schema] - JSON schema for structured output (forced tool input)
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - AI response text (the tool input as JSON with a schema)
+ */
+async function complete(prompt, { model, schema, signal }) {
+  try {
+    const response = await axios.post(
+      `${getBaseUrl(DEFAULT_BASE_URL)}/messages`,
+      {
+        model: model,
+        max_tokens: 2000,
+        temperature: 0.3,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        ...(schema && {
+          tools: [{ name: OUTPUT_TOOL_NAME, description: 'Record the ingredient classifications', input_schema: schema }],
+          tool_choice: { type: 'tool', name: OUTPUT_TOOL_NAME }
+        })
+      },
+      {
+        headers: headers(),
+        timeout: TIMEOUT_MS,
+        signal
+      }
+    );
+
+    // Content is a list of blocks: the forced tool call, or text blocks to join
+    const blocks = Array.isArray(response.data?.content) ? response.data.content : [];
+    const toolUse = blocks.find(block => block.type === 'tool_use' && block.name === OUTPUT_TOOL_NAME);
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+
+    const text = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!text) {
+      throw new Error('Invalid Anthropic response format');
+    }
+
+    return text;
+  } catch (error) {
+    logRequestError('Anthropic', error);
+    throw error;
+  }
+}
+
+/**
+ * Check the server answers an authenticated model list request
+ */
+async function ping() {
+  return checkReachable(() => axios.get(`${getBaseUrl(DEFAULT_BASE_URL)}/models`, {
+    headers: headers(),
+    timeout: HEALTH_TIMEOUT_MS
+  }));
+}
+
+module.exports = {
+  name: 'anthropic',
+  defaultModel: 'claude-3-5-haiku-latest',
+  getBaseUrl: () => getBaseUrl(DEFAULT_BASE_URL),
+  isConfigured,
+  complete,
+  ping,
+};
@@ -0,0 +1,29 @@
+const openai = require('./openai.provider');
+const anthropic = require('./anthropic.provider');
+const ollama = require('./ollama.provider');
+const llamacpp = require('./llamacpp.provider');
+const mock = require('./mock.provider');
+
+// Registered AI provider adapters, keyed by the name used in AI_PROVIDER
+const providers = {
+  [openai.name]: openai,
+  [anthropic.name]: anthropic,
+  [ollama.name]: ollama,
+  [llamacpp.name]: llamacpp,
+  [mock.name]: mock,
+};
+
+/**
+ * Look up a registered provider adapter by name
+ * @param {string} name - Provider name (openai, anthropic, ollama, llamacpp, mock)
+ * @returns {Object|undefined} - Adapter with { name, defaultModel, getBaseUrl, isConfigured, complete, ping };
+ *   complete(prompt, { model, schema }) requests structured output when schema is given
+ */
+function getProvider(name) {
+  return providers[name];
+}
+
+module.exports = {
+  providers,
+  getProvider,
+};
@@ -0,0 +1,75 @@
+const axios = require('axios');
+const { TIMEOUT_MS, HEALTH_TIMEOUT_MS, getBaseUrl, logRequestError, checkReachable } = require('./providerUtils');
+
+/**
+ * Local llama.cpp server adapter (native /completion endpoint, no API key).
+ * The server runs whichever model it was started with, so AI_MODEL is only
+ * used as a label (health output, AI cache key).
+ *
+ * Configuration (from environment variables):
+ * - AI_BASE_URL (default "http://localhost:8080")
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:8080';
+
+/**
+ * Runs locally, so it is always considered configured
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Send a raw prompt for completion
+ * @param {string} prompt - Prompt
+ * @param {Object} options
+ * @param {Object} [options.schema] - JSON schema for structured output (json_schema grammar)
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - AI response text
+ */
+async function complete(prompt, { schema, signal } = {}) {
+  try {
+    const response = await axios.post(
+      `${getBaseUrl(DEFAULT_BASE_URL)}/completion`,
+      {
+        prompt: prompt,
+        n_predict: 2000,
+        temperature: 0.3,
+        stream: false,
+        ...(schema && { json_schema: schema })
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: TIMEOUT_MS,
+        signal
+      }
+    );
+
+    if (typeof response.data?.content !== 'string' || !response.data.content) {
+      throw new Error('Invalid llama.cpp response format');
+    }
+
+    return response.data.content;
+  } catch (error) {
+    logRequestError('llama.cpp', error);
+    throw error;
+  }
+}
+
+/**
+ * Check the server reports healthy (503 while the model is still loading)
+ */
+async function ping() {
+  return checkReachable(() => axios.get(`${getBaseUrl(DEFAULT_BASE_URL)}/health`, {
+    timeout: HEALTH_TIMEOUT_MS
+  }));
+}
+
+module.exports = {
+  name: 'llamacpp',
+  defaultModel: 'local',
+  getBaseUrl: () => getBaseUrl(DEFAULT_BASE_URL),
+  isConfigured,
+  complete,
+  ping,
+};
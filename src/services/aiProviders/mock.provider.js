@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fixture-driven provider for offline development and deterministic tests
+ * (AI_PROVIDER=mock). No model is called: each ingredient in the prompt gets
+ * the classification recorded for it in a JSON fixture.
+ *
+ * Fixture format (names match case- and whitespace-insensitively):
+ *   {
+ *     "classifications": {
+ *       "Parfum": { "status": "Risky", "explanation": "...", "confidence": 0.9 }
+ *     },
+ *     "default": { "status": "Safe", "explanation": "...", "confidence": 0.5 } | null
+ *   }
+ * Ingredients missing from the fixture get the default, or are left out of
+ * the response when there is none (the pipeline then reports them Unknown).
+ * Its verdicts never reach the persistent classification cache (aiCache.service).
+ *
+ * Configuration (from environment variables):
+ * - AI_MOCK_FIXTURE (default "fixtures/mock-ai.json" in the project root)
+ */
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', '..', '..', 'fixtures', 'mock-ai.json');
+
+// Parsed fixtures keyed by path, read on first use
+const fixtures = new Map();
+
+function getFixturePath() {
+  return process.env.AI_MOCK_FIXTURE ? path.resolve(process.env.AI_MOCK_FIXTURE) : DEFAULT_FIXTURE;
+}
+
+function toKey(name) {
+  return String(name).toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function loadFixture() {
+  const fixturePath = getFixturePath();
+  if (!fixtures.has(fixturePath)) {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const classifications = new Map();
+    for (const [name, classification] of Object.entries(fixture.classifications || {})) {
+      classifications.set(toKey(name), classification);
+    }
+    fixtures.set(fixturePath, { classifications, defaultClassification: fixture.default ?? null });
+  }
+  return fixtures.get(fixturePath);
+}
+
+/**
+ * Pull the ingredient list out of a classification prompt (the "- name"
+ * lines after "Ingredients to classify:", see aiExplain buildPrompt)
+ * @param {string} prompt
+ * @returns {string[]}
+ */
+function parsePromptIngredients(prompt) {
+  const start = prompt.indexOf('Ingredients to classify:');
+  if (start === -1) return [];
+
+  const names = [];
+  for (const line of prompt.slice(start).split('\n').slice(1)) {
+    if (!line.startsWith('- ')) break;
+    names.push(line.slice(2).trim());
+  }
+  return names;
+}
+
+/**
+ * Recorded classifications for a list of ingredients
+ * @param {string[]} names
+ * @returns {Object[]} - { name, status, explanation, confidence } for each ingredient the fixture knows
+ */
+function classify(names) {
+  const { classifications, defaultClassification } = loadFixture();
+  return names.flatMap((name) => {
+    const classification = classifications.get(toKey(name)) || defaultClassification;
+    return classification ? [{ ...classification, name }] : [];
+  });
+}
+
+/**
+ * The fixture is part of the repo, so the provider is always usable
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Answer a classification prompt from the fixture
+ * @param {string} prompt - Prompt
+ * @returns {Promise<string>} - { classifications: [...] } JSON, as a structured-output provider returns it
+ */
+async function complete(prompt) {
+  return JSON.stringify({ classifications: classify(parsePromptIngredients(prompt)) });
+}
+
+/**
+ * Reachable as long as the fixture can be read
+ */
+async function ping() {
+  try {
+    loadFixture();
+    return { reachable: true, error: null };
+  } catch (error) {
+    return { reachable: false, error: error.message };
+  }
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'fixture',
+  getBaseUrl: () => `file://${getFixturePath()}`,
+  isConfigured,
+  complete,
+  ping,
+  classify,
+  parsePromptIngredients,
+};
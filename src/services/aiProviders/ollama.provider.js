@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { TIMEOUT_MS, HEALTH_TIMEOUT_MS, getBaseUrl, logRequestError, checkReachable } = require('./providerUtils');
+
+/**
+ * Local Ollama server adapter (native /api/chat endpoint, no API key).
+ *
+ * Configuration (from environment variables):
+ * - AI_BASE_URL (default "http://localhost:11434")
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Runs locally, so it is always considered configured
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Send a prompt as a single user message
+ * @param {string} prompt - Prompt
+ * @param {Object} options
+ * @param {string} options.model - Model name (must be pulled on the server)
+ * @param {Object} [options.schema] - JSON schema for structured output (format)
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - AI response text
+ */
+async function complete(prompt, { model, schema, signal }) {
+  try {
+    const response = await axios.post(
+      `${getBaseUrl(DEFAULT_BASE_URL)}/api/chat`,
+      {
+        model: model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        stream: false,
+        ...(schema && { format: schema }),
+        options: {
+          temperature: 0.3,
+          num_predict: 2000
+        }
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: TIMEOUT_MS,
+        signal
+      }
+    );
+
+    if (!response.data?.message?.content) {
+      throw new Error('Invalid Ollama response format');
+    }
+
+    return response.data.message.content;
+  } catch (error) {
+    logRequestError('Ollama', error);
+    throw error;
+  }
+}
+
+/**
+ * Check the server answers its model list endpoint
+ */
+async function ping() {
+  return checkReachable(() => axios.get(`${getBaseUrl(DEFAULT_BASE_URL)}/api/tags`, {
+    timeout: HEALTH_TIMEOUT_MS
+  }));
+}
+
+module.exports = {
+  name: 'ollama',
+  defaultModel: 'llama3.1',
+  getBaseUrl: () => getBaseUrl(DEFAULT_BASE_URL),
+  isConfigured,
+  complete,
+  ping,
+};
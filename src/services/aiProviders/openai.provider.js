@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { TIMEOUT_MS, HEALTH_TIMEOUT_MS, getBaseUrl, logRequestError, checkReachable } = require('./providerUtils');
+
+/**
+ * OpenAI chat completions adapter. Works with any OpenAI-compatible server
+ * (vLLM, LM Studio, llama.cpp's /v1 API, OpenRouter, Azure proxies, ...)
+ * by pointing AI_BASE_URL at its /v1 root.
+ *
+ * Configuration (from environment variables):
+ * - AI_BASE_URL (default "https://api.openai.com/v1")
+ * - AI_API_KEY: sent as a Bearer token; required for the default base URL only
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+function authHeaders() {
+  return process.env.AI_API_KEY ? { 'Authorization': `Bearer ${process.env.AI_API_KEY}` } : {};
+}
+
+/**
+ * OpenAI itself needs a key; a custom OpenAI-compatible server may not
+ */
+function isConfigured() {
+  return !!process.env.AI_API_KEY || !!process.env.AI_BASE_URL;
+}
+
+/**
+ * Send a prompt as a single user message
+ * @param {string} prompt - Prompt
+ * @param {Object} options
+ * @param {string} options.model - Model name
+ * @param {Object} [options.schema] - JSON schema for structured output (response_format json_schema)
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - AI response text
+ */
+async function complete(prompt, { model, schema, signal }) {
+  try {
+    const response = await axios.post(
+      `${getBaseUrl(DEFAULT_BASE_URL)}/chat/completions`,
+      {
+        model: model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: 0.3,
+        max_tokens: 2000,
+        ...(schema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'ingredient_classifications', strict: true, schema }
+          }
+        })
+      },
+      {
+        headers: {
+          ...authHeaders(),
+          'Content-Type': 'application/json'
+        },
+        timeout: TIMEOUT_MS,
+        signal
+      }
+    );
+
+    if (!response.data?.choices?.[0]?.message?.content) {
+      throw new Error('Invalid OpenAI response format');
+    }
+
+    return response.data.choices[0].message.content;
+  } catch (error) {
+    logRequestError('OpenAI', error);
+    throw error;
+  }
+}
+
+/**
+ * Check the server answers an authenticated model list request
+ */
+async function ping() {
+  return checkReachable(() => axios.get(`${getBaseUrl(DEFAULT_BASE_URL)}/models`, {
+    headers: authHeaders(),
+    timeout: HEALTH_TIMEOUT_MS
+  }));
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+  getBaseUrl: () => getBaseUrl(DEFAULT_BASE_URL),
+  isConfigured,
+  complete,
+  ping,
+};
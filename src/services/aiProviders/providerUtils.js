@@ -0,0 +1,85 @@
+const TIMEOUT_MS = 20000; // 20 seconds timeout
+const HEALTH_TIMEOUT_MS = 5000; // Reachability checks should answer fast
+
+/**
+ * Base URL from AI_BASE_URL, or the adapter's default, without a trailing slash
+ * @param {string} defaultUrl - Adapter default
+ * @returns {string}
+ */
+function getBaseUrl(defaultUrl) {
+  return (process.env.AI_BASE_URL || defaultUrl).trim().replace(/\/+$/, '');
+}
+
+/**
+ * Log a failed provider request (never logs request headers or the API key)
+ * @param {string} label - Provider label for the log prefix, e.g. "OpenAI"
+ * @param {Error} error - axios error
+ */
+function logRequestError(label, error) {
+  if (error.code === 'ERR_CANCELED') {
+    // Aborted by the caller (scan deadline) - not a provider failure
+    console.warn(`[${label}] Request aborted`);
+  } else if (error.response) {
+    // Server responded with error status
+    const statusCode = error.response.status;
+    let responseBody = '';
+    try {
+      responseBody = JSON.stringify(error.response.data);
+    } catch (e) {
+      responseBody = String(error.response.data);
+    }
+    // Truncate to 500 chars
+    responseBody = responseBody.substring(0, 500);
+
+    console.error(`[${label} Error] Status: ${statusCode}, Response: ${responseBody}, Message: ${error.message}`);
+  } else if (error.request) {
+    // Request was made but no response received
+    console.error(`[${label} Error] No response received, Message: ${error.message}`);
+  } else {
+    // Error setting up request
+    console.error(`[${label} Error] Request setup failed, Message: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a failed provider request means the provider is unavailable
+ * (network error, timeout, rate limit or 5xx), as opposed to a rejected
+ * request or a call the caller aborted
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isAvailabilityError(error) {
+  if (!error.isAxiosError || error.code === 'ERR_CANCELED') {
+    return false;
+  }
+  if (!error.response) {
+    return true;
+  }
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Run a reachability request and turn the outcome into a health result
+ * @param {Function} request - Returns the axios request promise
+ * @returns {Promise<{reachable: boolean, error: string|null}>}
+ */
+async function checkReachable(request) {
+  try {
+    await request();
+    return { reachable: true, error: null };
+  } catch (error) {
+    const reason = error.response
+      ? `HTTP ${error.response.status}`
+      : error.code || error.message;
+    return { reachable: false, error: reason };
+  }
+}
+
+module.exports = {
+  TIMEOUT_MS,
+  HEALTH_TIMEOUT_MS,
+  getBaseUrl,
+  logRequestError,
+  isAvailabilityError,
+  checkReachable,
+};
@@ -3,6 +3,10 @@ const NodeCache = require('node-cache');
 const { fetchSheetData } = require('../utils/googleSheets');
 const { fetchCsvData } = require('../utils/csvParser');
 const datasetRepository = require('../repositories/dataset.repository');
+const datasetVersionRepository = require('../repositories/datasetVersion.repository');
+const { invalidateVocabulary } = require('./ocrCorrection.service');
+const { missingColumns, validateDatasetRows } = require('../utils/datasetSchema');
+const { buildChangeSet, changedIngredientNames, changeSetId } = require('../utils/datasetChangeSet');
 
 const cache = new NodeCache({ stdTTL: 600 }); // 10 minutes
 
@@ -13,12 +17,8 @@ function normalizeHeader(header) {
 function normalizeRow(row, headers) {
   const normalized = {};
   headers.forEach((header, index) => {
-    let value = row[index] || '';
-    // Convert to number if possible
-    if (!isNaN(value) && value !== '') {
-      value = parseFloat(value);
-    }
-    normalized[normalizeHeader(header)] = value;
+    // Cells stay text; utils/datasetSchema decides what each column accepts
+    normalized[normalizeHeader(header)] = row[index] || '';
   });
   return normalized;
 }
@@ -27,8 +27,51 @@ function generateRowHash(row) {
   return crypto.createHash('sha256').update(JSON.stringify(row)).digest('hex');
 }
 
+// The previewed change set no longer matches the sheet and dataset
+function changeSetConflict() {
+  const error = new Error('The sheet or the dataset changed since this change set was computed; run the sync as a dry run again');
+  error.status = 409;
+  return error;
+}
+
+// The change set a sync would apply, and the dataset version it was computed against
+function buildPreview(current, changes, totalFetched) {
+  return {
+    changeSetId: changeSetId(current.version, changes),
+    baseVersion: current.version,
+    totalFetched,
+    changes,
+  };
+}
+
+function formatVersion(version) {
+  return {
+    version: version.id,
+    source: version.source,
+    description: version.description,
+    createdBy: version.created_by,
+    restoredFrom: version.restored_from,
+    rowCount: version.row_count,
+    createdAt: version.created_at,
+  };
+}
+
 class DatasetService {
-  async sync(sheetId, range = 'Sheet1!A1:Z', useCsvFallback = false) {
+  /**
+   * Sync dataset_rows from a Google Sheet (or its CSV export)
+   * @param {string} sheetId
+   * @param {string} [range]
+   * @param {boolean} [useCsvFallback]
+   * @param {Object} [options]
+   * @param {number|null} [options.createdBy] - User ID, recorded on the dataset version
+   * @param {boolean} [options.dryRun] - Only return the change set, write nothing
+   * @param {string} [options.changeSetId] - Apply only if the change set is still the one
+   *   a dry run returned under this id
+   * @returns {Promise<Object>} - { changeSetId, baseVersion, totalFetched, changes } plus, unless
+   *   dryRun, the import counts and the new version
+   * @throws {Error} - status 409 when the sheet or the dataset changed since the preview
+   */
+  async sync(sheetId, range = 'Sheet1!A1:Z', useCsvFallback = false, { createdBy = null, dryRun = false, changeSetId: expectedChangeSetId } = {}) {
     const cacheKey = `${sheetId}_${range}`;
     let rows = cache.get(cacheKey);
 
@@ -46,24 +89,169 @@ class DatasetService {
       }
     }
 
-    if (!rows.length) return { inserted: 0, updated: 0, skipped: 0, totalFetched: 0 };
+    if (!rows.length) {
+      // Nothing to apply; still answer with the (empty) change set a preview expects
+      const preview = buildPreview(await datasetRepository.loadCurrent(), buildChangeSet([], new Map()), 0);
+      if (dryRun) {
+        return { dryRun: true, ...preview };
+      }
+      return { inserted: 0, updated: 0, skipped: 0, ...preview };
+    }
 
     const headers = rows[0];
     const dataRows = rows.slice(1);
 
-    const normalizedRows = dataRows.map((row, index) => {
+    const missing = missingColumns(headers.map(normalizeHeader));
+    if (missing.length > 0) {
+      const error = new Error(`Sheet is missing required column(s): ${missing.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Identical rows hash the same; stage each once. Blank rows are left out.
+    const normalizedRows = new Map();
+    const skippedRows = [];
+    dataRows.forEach((row, index) => {
+      const line = index + 2; // Sheet row number, row 1 is the header
       const normalized = normalizeRow(row, headers);
+      if (Object.values(normalized).every(value => String(value).trim() === '')) {
+        skippedRows.push({ line, ingredientName: null, reason: 'Empty row' });
+        return;
+      }
       const rowHash = generateRowHash(normalized);
-      return {
+      if (normalizedRows.has(rowHash)) {
+        skippedRows.push({
+          line,
+          ingredientName: String(normalized.ingredient_name ?? '').trim() || null,
+          reason: `Identical to line ${normalizedRows.get(rowHash).line}`,
+        });
+        return;
+      }
+      normalizedRows.set(rowHash, {
+        line,
         row_hash: rowHash,
         data: normalized,
         source_sheet_id: sheetId,
         source_range: range,
-      };
+      });
+    });
+
+    // Check each row against the dataset schema and the current dataset;
+    // rejected rows are reported, not applied
+    const current = await datasetRepository.loadCurrent();
+    const validated = new Map(
+      validateDatasetRows([...normalizedRows.values()].map(({ line, data }) => ({ line, data })), current.rows)
+        .map(result => [result.line, result])
+    );
+
+    // What applying the rows would change, against the current dataset
+    const changes = buildChangeSet([...validated.values()], current.rows);
+    changes.skipped = [...skippedRows, ...changes.skipped].sort((a, b) => a.line - b.line);
+
+    const preview = buildPreview(current, changes, dataRows.length);
+    if (dryRun) {
+      return { dryRun: true, ...preview };
+    }
+    if (expectedChangeSetId && expectedChangeSetId !== preview.changeSetId) {
+      throw changeSetConflict();
+    }
+
+    // Stage the raw rows and write the ingredients the change set touches into dataset_rows,
+    // together and only if the dataset is still the one the change set was computed against
+    const importRows = [...normalizedRows.values()].map(({ line, ...row }) => {
+      const { ingredient, error } = validated.get(line);
+      return { ...row, ingredient, error };
     });
+    const applied = await datasetRepository.stageAndApply(importRows, {
+      changedNames: changedIngredientNames(changes),
+      description: `Sync of ${sheetId} (${range})`,
+      createdBy,
+      expectedVersion: current.version,
+    });
+    if (!applied) {
+      throw changeSetConflict();
+    }
+    const { staged, version, ...projected } = applied;
+    // OCR correction should see the new names right away
+    invalidateVocabulary();
+
+    return {
+      inserted: staged.inserted,
+      updated: staged.updated,
+      skipped: skippedRows.length,
+      projected,
+      version: formatVersion(version),
+      ...preview,
+    };
+  }
+
+  async listVersions({ page = 1, limit = 20 } = {}) {
+    page = parseInt(page);
+    limit = parseInt(limit);
+    const versions = await datasetVersionRepository.list({ limit, offset: (page - 1) * limit });
+    const total = await datasetVersionRepository.count();
+    return {
+      page,
+      limit,
+      total,
+      data: versions.map(formatVersion),
+    };
+  }
+
+  /**
+   * Ingredients added, removed or with a changed risk level between two versions
+   * @param {number} from - Version ID
+   * @param {number} [to] - Version ID (default: the current version)
+   * @returns {Promise<Object|null>} - null when either version doesn't exist
+   */
+  async diffVersions(from, to) {
+    const toId = to ?? await datasetVersionRepository.getCurrentId();
+    const [fromVersion, toVersion] = await Promise.all([
+      datasetVersionRepository.findById(from),
+      toId === null ? null : datasetVersionRepository.findById(toId),
+    ]);
+    if (!fromVersion || !toVersion) return null;
+
+    const rows = await datasetVersionRepository.diff(fromVersion.id, toVersion.id);
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const row of rows) {
+      if (row.from_risk_level === null) {
+        added.push({ ingredientName: row.ingredient_name, riskLevel: row.to_risk_level, reason: row.to_reason });
+      } else if (row.to_risk_level === null) {
+        removed.push({ ingredientName: row.ingredient_name, riskLevel: row.from_risk_level, reason: row.from_reason });
+      } else {
+        changed.push({
+          ingredientName: row.ingredient_name,
+          from: row.from_risk_level,
+          to: row.to_risk_level,
+          reason: row.to_reason,
+        });
+      }
+    }
+
+    return {
+      from: formatVersion(fromVersion),
+      to: formatVersion(toVersion),
+      added,
+      removed,
+      changed,
+    };
+  }
+
+  /**
+   * Restore dataset_rows to an earlier version; the rollback itself becomes a new version
+   * @returns {Promise<Object|null>} - The new version, or null when versionId doesn't exist
+   */
+  async rollback(versionId, createdBy = null) {
+    const target = await datasetVersionRepository.findById(versionId);
+    if (!target) return null;
 
-    const result = await datasetRepository.upsertMany(normalizedRows);
-    return { ...result, totalFetched: dataRows.length };
+    const version = await datasetVersionRepository.restore(target.id, { createdBy });
+    invalidateVocabulary();
+    console.log(`[Dataset] Rolled back to version ${target.id} as version ${version.id}`);
+    return formatVersion(version);
   }
 
   async getDataset(query) {
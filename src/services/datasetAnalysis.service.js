@@ -1,10 +1,121 @@
 const db = require('../db');
 const { parseIngredientTokens, extractIngredientsSection } = require('../utils/extractIngredientsSection');
+const { normalizeIngredientName } = require('../utils/ingredientNormalizer');
+
+// Minimum pg_trgm similarity (0-1) for a fuzzy hit to count as a known ingredient.
+// Weaker hits are left unknown and go on to AI classification.
+const DEFAULT_FUZZY_THRESHOLD = 0.7;
+
+// Set once the database turns out to lack pg_trgm, so we stop asking
+let fuzzyUnavailable = false;
+
+function getFuzzyThreshold() {
+  const value = parseFloat(process.env.DATASET_FUZZY_THRESHOLD);
+  return value > 0 && value <= 1 ? value : DEFAULT_FUZZY_THRESHOLD;
+}
+
+// Exact, normalized-name and alias candidates for every input token
+const DIRECT_MATCH_SQL = `
+  SELECT i.ord, d.id, 'exact' AS match_type, 1::float AS score, 1 AS tier
+  FROM input i
+  JOIN dataset_rows d ON LOWER(d.ingredient_name) = i.token
+  UNION ALL
+  SELECT i.ord, d.id, 'exact', 1, 2
+  FROM input i
+  JOIN dataset_rows d ON normalize_ingredient_name(d.ingredient_name) = i.normalized
+  WHERE i.normalized <> ''
+  UNION ALL
+  SELECT i.ord, a.ingredient_id, 'alias', 1, 3
+  FROM input i
+  JOIN ingredient_aliases a ON LOWER(a.alias) = i.token
+  UNION ALL
+  SELECT i.ord, a.ingredient_id, 'alias', 1, 4
+  FROM input i
+  JOIN ingredient_aliases a ON normalize_ingredient_name(a.alias) = i.normalized
+  WHERE i.normalized <> ''`;
+
+// Best trigram candidate for tokens with no direct match.
+// "%" lets the trigram index narrow candidates; the threshold is applied on top.
+const FUZZY_MATCH_SQL = `
+  SELECT i.ord, f.id, 'fuzzy', f.score, 5
+  FROM input i
+  CROSS JOIN LATERAL (
+    SELECT d.id, similarity(LOWER(d.ingredient_name), i.token)::float AS score
+    FROM dataset_rows d
+    WHERE LOWER(d.ingredient_name) % i.token
+      AND similarity(LOWER(d.ingredient_name), i.token) >= $2
+    ORDER BY score DESC, d.ingredient_name
+    LIMIT 1
+  ) f
+  WHERE NOT EXISTS (SELECT 1 FROM direct x WHERE x.ord = i.ord)`;
+
+function buildMatchQuery(withFuzzy) {
+  return `
+    WITH input AS (
+      SELECT token, ord, normalize_ingredient_name(token) AS normalized
+      FROM unnest($1::text[]) WITH ORDINALITY AS t(token, ord)
+    ),
+    direct AS (${DIRECT_MATCH_SQL}
+    ),
+    candidates AS (
+      SELECT * FROM direct${withFuzzy ? `
+      UNION ALL${FUZZY_MATCH_SQL}` : ''}
+    )
+    SELECT DISTINCT ON (c.ord) c.ord, c.match_type, c.score, d.ingredient_name, d.risk_level, d.reason
+    FROM candidates c
+    JOIN dataset_rows d ON d.id = c.id
+    ORDER BY c.ord, c.tier, d.ingredient_name`;
+}
+
+/**
+ * Resolve many ingredient tokens against dataset_rows in one query.
+ * For each token the best match wins, in this order:
+ * 1. exact   - LOWER(ingredient_name), then the spelling-variant normalized name
+ *              (hyphens/spaces, sulphate/sulfate)
+ * 2. alias   - exact or normalized alias in ingredient_aliases
+ * 3. fuzzy   - closest ingredient_name by pg_trgm similarity, at or above the threshold
+ *
+ * @param {string[]} cleanedTokens - Trimmed, lowercased tokens
+ * @returns {Promise<Map<string, Object>>} - token -> { row, matchType, similarity },
+ *   for matched tokens only
+ */
+async function findIngredientMatches(cleanedTokens) {
+  const uniqueTokens = [...new Set(cleanedTokens.filter(Boolean))];
+  const matches = new Map();
+  if (uniqueTokens.length === 0) {
+    return matches;
+  }
+
+  let result;
+  try {
+    result = fuzzyUnavailable
+      ? await db.pool.query(buildMatchQuery(false), [uniqueTokens])
+      : await db.pool.query(buildMatchQuery(true), [uniqueTokens, getFuzzyThreshold()]);
+  } catch (error) {
+    // 42883 = undefined_function: pg_trgm not installed
+    if (fuzzyUnavailable || error.code !== '42883') {
+      throw error;
+    }
+    fuzzyUnavailable = true;
+    console.warn('[DatasetAnalysis] pg_trgm not available, fuzzy matching disabled');
+    result = await db.pool.query(buildMatchQuery(false), [uniqueTokens]);
+  }
+
+  for (const row of result.rows) {
+    const token = uniqueTokens[Number(row.ord) - 1];
+    matches.set(token, {
+      row,
+      matchType: row.match_type,
+      similarity: Math.round(parseFloat(row.score) * 100) / 100,
+    });
+  }
+
+  return matches;
+}
 
 /**
  * Query dataset_rows table to find ingredient matches.
- * ONLY exact token match (case-insensitive) on ingredient_name
- * and alias match only if aliases contains an exact token (comma-separated).
+ * Exact name match first, then alias, then fuzzy (see findIngredientMatches).
  * 
  * @param {string[]} tokens - Array of normalized ingredient tokens
  * @returns {Promise<Object>} - Matched ingredients with risk levels and reasons
@@ -20,110 +131,85 @@ async function analyzeWithDataset(tokens) {
   }
 
   try {
-    const client = await db.pool.connect();
+    // Debug: Log parsed tokens
+    const isDev = process.env.NODE_ENV !== 'production';
+    if (isDev) {
+      console.log('[DatasetAnalysis] parsedTokens:', tokens);
+    }
     
-    try {
-      // Debug: Log parsed tokens
-      const isDev = process.env.NODE_ENV !== 'production';
-      if (isDev) {
-        console.log('[DatasetAnalysis] parsedTokens:', tokens);
-      }
-      
-      const matches = [];
-      const matchedNames = new Set();
-      
-      for (const token of tokens) {
-        // Clean token before querying
-        const cleaned = token.trim().toLowerCase();
-        if (!cleaned) continue;
-        
-        // First: Exact token match on ingredient_name (case-insensitive)
-        let result = await client.query(
-          `SELECT ingredient_name, risk_level, reason, aliases 
-           FROM dataset_rows 
-           WHERE LOWER(ingredient_name) = $1`,
-          [cleaned]
-        );
-        
-        // Second: Alias match only if exact match fails
-        // Use trim-safe version to handle spaces after commas
-        if (result.rows.length === 0) {
-          result = await client.query(
-            `SELECT ingredient_name, risk_level, reason, aliases 
-             FROM dataset_rows 
-             WHERE EXISTS (
-               SELECT 1
-               FROM unnest(string_to_array(LOWER(COALESCE(aliases,'')), ',')) a(alias)
-               WHERE TRIM(a.alias) = $1
-             )`,
-            [cleaned]
-          );
-        }
-        
-        if (result.rows.length > 0) {
-          const row = result.rows[0];
-          
-          // Avoid duplicates
-          if (!matchedNames.has(row.ingredient_name.toLowerCase())) {
-            matchedNames.add(row.ingredient_name.toLowerCase());
-            matches.push({
-              input: token,
-              name: row.ingredient_name,
-              risk_level: row.risk_level,
-              reason: row.reason
-            });
-          }
-        }
-      }
-      
-      // Debug: Log matched names count
-      if (isDev) {
-        console.log('[DatasetAnalysis] matchedNames count:', matchedNames.size);
-        console.log('[DatasetAnalysis] matchedNames:', [...matchedNames]);
-      }
-      
-      // Build response - return canonical name and input token separately
-      const matchedIngredients = matches.map(m => ({
-        input: m.input,
-        name: m.name,
-        risk_level: m.risk_level,
-        reason: m.reason
-      }));
-      
-      // Collect unique explanations
-      const explanations = [...new Set(matches.map(m => m.reason).filter(Boolean))];
-      
-      // Calculate summary counts
-      const summary = {
-        safeCount: matches.filter(m => m.risk_level === 'LOW').length,
-        riskyCount: matches.filter(m => m.risk_level === 'MEDIUM').length,
-        restrictedCount: matches.filter(m => m.risk_level === 'HIGH').length
-      };
+    // Clean tokens before querying
+    const cleanedTokens = tokens.map(token => token.trim().toLowerCase());
+    const found = await findIngredientMatches(cleanedTokens);
+    
+    const matches = [];
+    const matchedNames = new Set();
+    
+    for (const [index, token] of tokens.entries()) {
+      const match = found.get(cleanedTokens[index]);
+      if (!match) continue;
       
-      // Determine overall risk level
-      const riskLevel = determineOverallRiskLevel(matches);
+      const { row } = match;
       
-      // If no matches found, return explicit message
-      if (matchedIngredients.length === 0) {
-        return {
-          matched_ingredients: [],
-          explanations: ['No dataset matches found'],
-          risk_level: 'LOW',
-          summary: { safeCount: 0, riskyCount: 0, restrictedCount: 0 }
-        };
+      // Avoid duplicates
+      if (!matchedNames.has(row.ingredient_name.toLowerCase())) {
+        matchedNames.add(row.ingredient_name.toLowerCase());
+        matches.push({
+          input: token,
+          name: row.ingredient_name,
+          risk_level: row.risk_level,
+          reason: row.reason,
+          matchType: match.matchType,
+          similarity: match.similarity
+        });
       }
-      
+    }
+    
+    // Debug: Log matched names count
+    if (isDev) {
+      console.log('[DatasetAnalysis] matchedNames count:', matchedNames.size);
+      console.log('[DatasetAnalysis] matchedNames:', [...matchedNames]);
+    }
+    
+    // Build response - return canonical name and input token separately
+    const matchedIngredients = matches.map(m => ({
+      input: m.input,
+      name: m.name,
+      risk_level: m.risk_level,
+      reason: m.reason,
+      matchType: m.matchType,
+      similarity: m.similarity
+    }));
+    
+    // Collect unique explanations
+    const explanations = [...new Set(matches.map(m => m.reason).filter(Boolean))];
+    
+    // Calculate summary counts
+    const summary = {
+      safeCount: matches.filter(m => m.risk_level === 'LOW').length,
+      riskyCount: matches.filter(m => m.risk_level === 'MEDIUM').length,
+      restrictedCount: matches.filter(m => m.risk_level === 'HIGH').length
+    };
+    
+    // Determine overall risk level
+    const riskLevel = determineOverallRiskLevel(matches);
+    
+    // If no matches found, return explicit message
+    if (matchedIngredients.length === 0) {
       return {
-        matched_ingredients: matchedIngredients,
-        explanations,
-        risk_level: riskLevel,
-        summary
+        matched_ingredients: [],
+        explanations: ['No dataset matches found'],
+        risk_level: 'LOW',
+        summary: { safeCount: 0, riskyCount: 0, restrictedCount: 0 }
       };
-      
-    } finally {
-      client.release();
     }
     
+    return {
+      matched_ingredients: matchedIngredients,
+      explanations,
+      risk_level: riskLevel,
+      summary
+    };
+    
   } catch (error) {
     // Log error and re-throw to allow fallback to rule-based analysis
     console.error('Dataset analysis error:', error.message);
@@ -134,6 +220,7 @@ async function analyzeWithDataset(tokens) {
 /**
  * Match ingredients against dataset and return known results + unknown names.
  * Preserves the original order of tokens and deduplicates unknownNames.
+ * Each known result carries matchType (exact|alias|fuzzy) and similarity (0-1).
  * 
  * @param {string[]} tokens - Array of normalized ingredient tokens (in order)
  * @returns {Promise<Object>} - { knownResults: [], unknownNames: [] }
@@ -144,72 +231,49 @@ async function matchIngredientsWithDataset(tokens) {
   }
 
   try {
-    const client = await db.pool.connect();
+    // Clean tokens before querying
+    const cleanedTokens = tokens.map(token => token.trim().toLowerCase());
+    const found = await findIngredientMatches(cleanedTokens);
     
-    try {
-      const knownResults = [];
-      const unknownNames = [];
-      const knownLower = new Set(); // Track known results to avoid duplicates in order
-      const unknownLower = new Set(); // Track unknown names to deduplicate
+    const knownResults = [];
+    const unknownNames = [];
+    const knownLower = new Set(); // Track known results to avoid duplicates in order
+    const unknownLower = new Set(); // Track unknown names to deduplicate
+    
+    for (const [index, token] of tokens.entries()) {
+      const cleaned = cleanedTokens[index];
+      if (!cleaned) continue;
       
-      for (const token of tokens) {
-        // Clean token before querying
-        const cleaned = token.trim().toLowerCase();
-        if (!cleaned) continue;
-        
-        // First: Exact token match on ingredient_name (case-insensitive)
-        let result = await client.query(
-          `SELECT ingredient_name, risk_level, reason, aliases 
-           FROM dataset_rows 
-           WHERE LOWER(ingredient_name) = $1`,
-          [cleaned]
-        );
+      const match = found.get(cleaned);
+      
+      if (match) {
+        const { row } = match;
+        const rowLower = row.ingredient_name.toLowerCase();
         
-        // Second: Alias match only if exact match fails
-        // Use trim-safe version to handle spaces after commas
-        if (result.rows.length === 0) {
-          result = await client.query(
-            `SELECT ingredient_name, risk_level, reason, aliases 
-             FROM dataset_rows 
-             WHERE EXISTS (
-               SELECT 1
-               FROM unnest(string_to_array(LOWER(COALESCE(aliases,'')), ',')) a(alias)
-               WHERE TRIM(a.alias) = $1
-             )`,
-            [cleaned]
-          );
+        // Only add if not already added (preserve first appearance order)
+        if (!knownLower.has(rowLower)) {
+          knownLower.add(rowLower);
+          knownResults.push({
+            input: token,
+            name: row.ingredient_name,
+            status: mapDatasetRiskToStatus(row.risk_level),
+            reason: row.reason,
+            source: 'dataset',
+            matchType: match.matchType,
+            similarity: match.similarity
+          });
         }
-        
-        if (result.rows.length > 0) {
-          const row = result.rows[0];
-          const rowLower = row.ingredient_name.toLowerCase();
-          
-          // Only add if not already added (preserve first appearance order)
-          if (!knownLower.has(rowLower)) {
-            knownLower.add(rowLower);
-            knownResults.push({
-              input: token,
-              name: row.ingredient_name,
-              status: mapDatasetRiskToStatus(row.risk_level),
-              reason: row.reason,
-              source: 'dataset'
-            });
-          }
-        } else {
-          // Not found in dataset - add to unknown list if not already there
-          if (!unknownLower.has(cleaned)) {
-            unknownLower.add(cleaned);
-            unknownNames.push(token); // Keep original casing
-          }
+      } else {
+        // Not found in dataset - add to unknown list if not already there
+        if (!unknownLower.has(cleaned)) {
+          unknownLower.add(cleaned);
+          unknownNames.push(token); // Keep original casing
         }
       }
-      
-      return { knownResults, unknownNames };
-      
-    } finally {
-      client.release();
     }
     
+    return { knownResults, unknownNames };
+    
   } catch (error) {
     console.error('Dataset match error:', error.message);
     throw error;
@@ -0,0 +1,112 @@
+const sharp = require('sharp');
+
+/**
+ * Image preprocessing before OCR.
+ * Phone photos of labels are often rotated, low-contrast or very large;
+ * cleaning them up first gives both OCR engines a much better read.
+ *
+ * Configuration (from environment variables):
+ * - IMAGE_PREPROCESS_STEPS (default "orient,grayscale,normalize,binarize,resize"):
+ *   comma-separated steps to apply, empty to disable preprocessing
+ * - IMAGE_PREPROCESS_THRESHOLD (default 128): binarize cut-off (0-255)
+ * - IMAGE_PREPROCESS_MAX_DIMENSION (default 2000): longest side after downscaling, in px
+ */
+
+const AVAILABLE_STEPS = ['orient', 'grayscale', 'normalize', 'binarize', 'resize'];
+
+/**
+ * Read preprocessing configuration from environment
+ * @returns {{steps: string[], threshold: number, maxDimension: number}}
+ */
+function getPreprocessConfig() {
+  const rawSteps = process.env.IMAGE_PREPROCESS_STEPS;
+  const requested = rawSteps === undefined
+    ? AVAILABLE_STEPS
+    : rawSteps.split(',').map(s => s.toLowerCase().trim()).filter(Boolean);
+
+  for (const step of requested) {
+    if (!AVAILABLE_STEPS.includes(step)) {
+      console.warn(`[Preprocess] Ignoring unknown step "${step}"`);
+    }
+  }
+
+  return {
+    // Keep the canonical order regardless of how the steps were listed
+    steps: AVAILABLE_STEPS.filter(step => requested.includes(step)),
+    threshold: parseInt(process.env.IMAGE_PREPROCESS_THRESHOLD || '128', 10),
+    maxDimension: parseInt(process.env.IMAGE_PREPROCESS_MAX_DIMENSION || '2000', 10),
+  };
+}
+
+/**
+ * Preprocess an image buffer for OCR.
+ * Never throws: if the image can't be processed the original buffer is returned.
+ *
+ * @param {Buffer} imageBuffer - Raw uploaded image
+ * @param {Object} config - Overrides for getPreprocessConfig()
+ * @returns {Promise<{buffer: Buffer, steps: string[], scale: number}>} - Processed image, the steps
+ *   actually applied, and the factor that maps processed-image coordinates back to the (oriented) original
+ */
+async function preprocessImage(imageBuffer, config = {}) {
+  const { steps, threshold, maxDimension } = { ...getPreprocessConfig(), ...config };
+
+  if (!steps.length) {
+    return { buffer: imageBuffer, steps: [], scale: 1 };
+  }
+
+  try {
+    let pipeline = sharp(imageBuffer, { failOn: 'none' });
+    const metadata = await pipeline.metadata();
+    const applied = [];
+
+    // EXIF orientations 5-8 swap width and height
+    const swapsAxes = metadata.orientation >= 5;
+    const width = swapsAxes ? metadata.height : metadata.width;
+    const height = swapsAxes ? metadata.width : metadata.height;
+
+    if (steps.includes('orient')) {
+      pipeline = pipeline.rotate();
+      if (metadata.orientation && metadata.orientation > 1) applied.push('orient');
+    }
+
+    if (steps.includes('grayscale')) {
+      // toColourspace keeps the output single-channel (smaller upload)
+      pipeline = pipeline.grayscale().toColourspace('b-w');
+      applied.push('grayscale');
+    }
+
+    if (steps.includes('normalize')) {
+      pipeline = pipeline.normalise();
+      applied.push('normalize');
+    }
+
+    if (steps.includes('binarize')) {
+      pipeline = pipeline.threshold(threshold);
+      applied.push('binarize');
+    }
+
+    let scale = 1;
+    if (steps.includes('resize') && Math.max(width || 0, height || 0) > maxDimension) {
+      scale = Math.max(width, height) / maxDimension;
+      pipeline = pipeline.resize({
+        width: maxDimension,
+        height: maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true,
+      });
+      applied.push('resize');
+    }
+
+    const buffer = await pipeline.jpeg({ quality: 90 }).toBuffer();
+    return { buffer, steps: applied, scale };
+  } catch (error) {
+    console.warn(`[Preprocess] Image preprocessing failed, using original image: ${error.message}`);
+    return { buffer: imageBuffer, steps: [], scale: 1 };
+  }
+}
+
+module.exports = {
+  preprocessImage,
+  getPreprocessConfig,
+  AVAILABLE_STEPS,
+};
@@ -1,112 +1,110 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const { getEngine, engines, OCRError } = require('./ocrEngines');
+const { getCircuitBreaker, CircuitOpenError } = require('../utils/circuitBreaker');
 
-// OCR.Space API configuration
-const OCR_SPACE_API_URL = 'https://api.ocr.space/parse/image';
+/**
+ * OCR service - picks an OCR engine based on OCR_ENGINE:
+ * - "ocrspace": OCR.Space API only (requires OCR_SPACE_API_KEY)
+ * - "tesseract": local Tesseract engine only
+ * - "auto" (default): OCR.Space first, local Tesseract when OCR.Space is
+ *   not configured, out of quota or unreachable
+ * - "mock": recorded text from a fixture, for offline development and tests
+ *   (see ocrEngines/mock.engine.js)
+ *
+ * Each engine runs behind a circuit breaker: after repeated outages (see
+ * BREAKER_FAILURE_CODES) calls to it fail fast with OCR_CIRCUIT_OPEN, which
+ * auto mode treats like an outage and answers from the fallback engine.
+ */
+
+const ENGINE_MODES = ['ocrspace', 'tesseract', 'auto', 'mock'];
+
+// OCR.Space error codes that make auto mode switch to the local engine
+const FALLBACK_CODES = ['OCR_NOT_CONFIGURED', 'OCR_DAILY_LIMIT', 'OCR_NETWORK_ERROR', 'OCR_CIRCUIT_OPEN'];
+
+// Error codes meaning the engine itself is down (not a bad image or missing config)
+const BREAKER_FAILURE_CODES = ['OCR_DAILY_LIMIT', 'OCR_NETWORK_ERROR', 'OCR_TIMEOUT', 'OCR_ENGINE_UNAVAILABLE'];
 
-// Controlled error class for OCR errors
-class OCRError extends Error {
-  constructor(message, code) {
-    super(message);
-    this.name = 'OCRError';
-    this.code = code;
+function getEngineBreaker(engine) {
+  return getCircuitBreaker(`ocr:${engine.name}`, {
+    isFailure: (error) => BREAKER_FAILURE_CODES.includes(error.code),
+  });
+}
+
+/**
+ * Run an engine through its circuit breaker
+ */
+async function recognize(engine, imageBuffer, options) {
+  try {
+    return await getEngineBreaker(engine).exec(() => engine.recognize(imageBuffer, options));
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      throw new OCRError(`${engine.name} OCR is temporarily unavailable after repeated failures`, 'OCR_CIRCUIT_OPEN');
+    }
+    throw error;
   }
 }
 
 /**
- * Run OCR on a Buffer using OCR.Space API.
- * Returns extracted text.
+ * Circuit breaker state of every OCR engine, for health reporting
+ * @returns {Object[]}
+ */
+function getCircuitStates() {
+  return Object.values(engines).map(engine => getEngineBreaker(engine).getState());
+}
+
+/**
+ * Resolve the configured engine mode, falling back to "auto" for bad values
+ * @returns {string} - One of ENGINE_MODES
+ */
+function getEngineMode() {
+  const mode = (process.env.OCR_ENGINE || 'auto').toLowerCase().trim();
+  if (!ENGINE_MODES.includes(mode)) {
+    console.warn(`[OCR] Unknown OCR_ENGINE "${mode}", using "auto"`);
+    return 'auto';
+  }
+  return mode;
+}
+
+/**
+ * Run OCR on a Buffer with the configured engine.
+ * options.language: label language code passed on to the engine (optional).
+ * options.filename / options.imageHash: identify the upload (optional; used by the mock engine).
+ * Returns { text, lines, engine, degraded } where engine is the name of the engine that
+ * produced the text and degraded is true when auto mode fell back because OCR.Space was down.
  * Throws controlled errors with codes.
  */
-module.exports = async function extractTextFromImage(imageBuffer) {
+module.exports = async function extractTextFromImage(imageBuffer, options = {}) {
   // Validate input
   if (!imageBuffer || !Buffer.isBuffer(imageBuffer)) {
     throw new OCRError('Invalid image buffer', 'OCR_INVALID_INPUT');
   }
 
-  // Check if API key is configured
-  const apiKey = process.env.OCR_SPACE_API_KEY;
-  if (!apiKey) {
-    const error = new OCRError('OCR service not configured. Set OCR_SPACE_API_KEY in environment.', 'OCR_NOT_CONFIGURED');
-    throw error;
-  }
-
-  try {
-    // Create form data with the image buffer
-    const form = new FormData();
-    form.append('apikey', apiKey);
-    form.append('file', imageBuffer, {
-      filename: 'image.jpg',
-      contentType: 'image/jpeg'
-    });
-    form.append('language', 'eng');
-    form.append('isOverlayRequired', 'false');
-    form.append('detectOrientation', 'true');
-    form.append('scale', 'true');
-    form.append('OCREngine', '2');
-
-    // Send request to OCR.Space API
-    const response = await axios.post(OCR_SPACE_API_URL, form, {
-      headers: {
-        ...form.getHeaders(),
-      },
-      timeout: 30000, // 30 second timeout
-    });
+  const mode = getEngineMode();
 
-    // Check for OCR.Space specific errors
-    if (response.data.IsErroredOnProcessing) {
-      const errorMessage = response.data.ErrorMessage?.[0] || 'OCR processing failed';
-      console.error('OCR.Space API error:', errorMessage);
-      
-      // Handle specific error codes from OCR.Space
-      if (errorMessage.includes('daily')) {
-        throw new OCRError('OCR daily limit exceeded', 'OCR_DAILY_LIMIT');
-      }
-      if (errorMessage.includes('credit') || errorMessage.includes('key')) {
-        throw new OCRError('OCR API key invalid or insufficient credits', 'OCR_AUTH_FAILED');
-      }
-      
-      throw new OCRError(`OCR processing failed: ${errorMessage}`, 'OCR_FAILED');
-    }
-
-    // Check if parsed results exist
-    if (!response.data.ParsedResults || response.data.ParsedResults.length === 0) {
-      console.warn('OCR.Space returned no results');
-      return '';
-    }
+  if (mode !== 'auto') {
+    const engine = getEngine(mode);
+    const result = await recognize(engine, imageBuffer, options);
+    return { ...result, engine: engine.name, degraded: false };
+  }
 
-    // Extract text from the first result
-    const parsedText = response.data.ParsedResults[0]?.ParsedText || '';
-    return parsedText.trim();
+  const primary = getEngine('ocrspace');
+  const fallback = getEngine('tesseract');
 
+  try {
+    const result = await recognize(primary, imageBuffer, options);
+    return { ...result, engine: primary.name, degraded: false };
   } catch (error) {
-    // If it's already a controlled error, rethrow it
-    if (error instanceof OCRError) {
+    if (!FALLBACK_CODES.includes(error.code)) {
       throw error;
     }
 
-    // Log detailed error info for debugging
-    if (error.response) {
-      console.error('OCR.Space response error:', JSON.stringify(error.response.data));
-    } else if (error.request) {
-      console.error('OCR.Space request failed (network error):', error.message);
-    } else {
-      console.error('OCR.Space error:', error.message);
-    }
-
-    // Check for network errors
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.code === 'ETIMEDOUT') {
-      throw new OCRError('OCR service unavailable due to network issue', 'OCR_NETWORK_ERROR');
-    }
-
-    // Check for timeout
-    if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
-      throw new OCRError('OCR service timed out', 'OCR_TIMEOUT');
-    }
-
-    // For any other unexpected errors, throw a controlled error
-    const controlledError = new OCRError('OCR processing failed', 'OCR_FAILED');
-    controlledError.originalError = error;
-    throw controlledError;
+    console.warn(`[OCR] ${primary.name} failed with ${error.code}, falling back to ${fallback.name}`);
+    const result = await recognize(fallback, imageBuffer, options);
+    // Falling back because OCR.Space isn't set up is normal operation, not degradation
+    return { ...result, engine: fallback.name, degraded: error.code !== 'OCR_NOT_CONFIGURED' };
   }
 };
+
+module.exports.OCRError = OCRError;
+module.exports.ENGINE_MODES = ENGINE_MODES;
+module.exports.getEngineMode = getEngineMode;
+module.exports.getCircuitStates = getCircuitStates;
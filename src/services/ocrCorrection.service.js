@@ -0,0 +1,126 @@
+const path = require('path');
+const fs = require('fs');
+const NodeCache = require('node-cache');
+const db = require('../db');
+const { createVocabularyIndex, correctToken } = require('../utils/ocrCorrection');
+
+/**
+ * OCR correction service - repairs misread ingredient names before dataset
+ * matching, using the known ingredient vocabulary:
+ * dataset_rows names and aliases plus the bundled ingredients.json.
+ * Only for OCR output: text a user typed is taken as written.
+ *
+ * Env:
+ * - OCR_CORRECTION_ENABLED: set to "false" to turn correction off (default on)
+ * - OCR_CORRECTION_MIN_SIMILARITY: minimum similarity for edit-distance corrections (default 0.85)
+ * - OCR_VOCABULARY_TTL_SECONDS: how long the vocabulary is cached (default 600)
+ */
+
+const ingredientsJsonPath = path.join(__dirname, '..', 'data', 'ingredients.json');
+const VOCABULARY_KEY = 'vocabulary';
+
+const cache = new NodeCache({
+  stdTTL: parseInt(process.env.OCR_VOCABULARY_TTL_SECONDS, 10) || 600,
+  useClones: false,
+});
+
+function isCorrectionEnabled() {
+  return (process.env.OCR_CORRECTION_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+function getMinSimilarity() {
+  const value = parseFloat(process.env.OCR_CORRECTION_MIN_SIMILARITY);
+  return value > 0 && value <= 1 ? value : 0.85;
+}
+
+/**
+ * Load dataset names and aliases. An unavailable dataset just means
+ * correcting against ingredients.json alone.
+ */
+async function loadDatasetTerms() {
+  try {
+    const result = await db.pool.query(
+      `SELECT ingredient_name AS term FROM dataset_rows
+       UNION
+       SELECT alias FROM ingredient_aliases`
+    );
+    return result.rows.map(row => row.term);
+  } catch (error) {
+    console.warn(`[OCRCorrection] Could not load dataset vocabulary: ${error.message}`);
+    return [];
+  }
+}
+
+function loadBundledTerms() {
+  try {
+    return Object.keys(JSON.parse(fs.readFileSync(ingredientsJsonPath, 'utf8')));
+  } catch (error) {
+    console.warn(`[OCRCorrection] Could not load ingredients.json: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the (cached) vocabulary index
+ * @returns {Promise<Object>} - Index from createVocabularyIndex
+ */
+async function getVocabularyIndex() {
+  let index = cache.get(VOCABULARY_KEY);
+  if (!index) {
+    const terms = [...(await loadDatasetTerms()), ...loadBundledTerms()];
+    index = createVocabularyIndex(terms);
+    cache.set(VOCABULARY_KEY, index);
+    console.log(`[OCRCorrection] Vocabulary loaded: ${index.terms.size} terms`);
+  }
+  return index;
+}
+
+/**
+ * Drop the cached vocabulary, e.g. after a dataset import
+ */
+function invalidateVocabulary() {
+  cache.del(VOCABULARY_KEY);
+}
+
+/**
+ * Find corrections for tokenized ingredient entries. Names are left as read:
+ * each entry gets `correction: { original, corrected, confidence, method }`
+ * when a correction was found, or `correction: null` otherwise, and the
+ * corrected name is only looked up after the name and aliases match nothing.
+ *
+ * @param {Object[]} entries - Entries from tokenizeIngredients
+ * @returns {Promise<Object[]>} - The same entries
+ */
+async function correctIngredientEntries(entries) {
+  for (const entry of entries) {
+    entry.correction = null;
+  }
+
+  if (!isCorrectionEnabled() || entries.length === 0) {
+    return entries;
+  }
+
+  const index = await getVocabularyIndex();
+  const options = { minSimilarity: getMinSimilarity() };
+
+  for (const entry of entries) {
+    const result = correctToken(entry.name, index, options);
+    if (!result) continue;
+
+    entry.correction = {
+      original: entry.name,
+      corrected: result.corrected,
+      confidence: result.confidence,
+      method: result.method,
+    };
+  }
+
+  return entries;
+}
+
+module.exports = {
+  correctIngredientEntries,
+  getVocabularyIndex,
+  invalidateVocabulary,
+  isCorrectionEnabled,
+};
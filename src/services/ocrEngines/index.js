@@ -0,0 +1,26 @@
+const ocrSpace = require('./ocrSpace.engine');
+const tesseract = require('./tesseract.engine');
+const mock = require('./mock.engine');
+const OCRError = require('./ocrError');
+
+// Registered OCR engines, keyed by the name used in OCR_ENGINE
+const engines = {
+  [ocrSpace.name]: ocrSpace,
+  [tesseract.name]: tesseract,
+  [mock.name]: mock,
+};
+
+/**
+ * Look up a registered engine by name
+ * @param {string} name - Engine name (ocrspace, tesseract, mock)
+ * @returns {Object|undefined} - Engine with { name, isConfigured, recognize }
+ */
+function getEngine(name) {
+  return engines[name];
+}
+
+module.exports = {
+  engines,
+  getEngine,
+  OCRError,
+};
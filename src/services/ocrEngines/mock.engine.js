@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OCRError = require('./ocrError');
+
+/**
+ * Fixture-driven OCR engine for offline development and deterministic tests
+ * (OCR_ENGINE=mock). Nothing is recognized: the text comes from a JSON
+ * fixture keyed by image, looked up by
+ * 1. the sha256 of the image as uploaded (before preprocessing)
+ * 2. the sha256 of the buffer handed to the engine
+ * 3. the upload's filename (case-insensitive, without directories)
+ *
+ * Fixture format:
+ *   {
+ *     "images": { "<sha256 or filename>": "recorded text" | { "text": "...", "lines": [...] } },
+ *     "default": "text for unknown images" | null
+ *   }
+ * Unknown images get the default text, or no text at all when there is none
+ * (the scan then reports an unreadable label).
+ *
+ * Configuration (from environment variables):
+ * - OCR_MOCK_FIXTURE (default "fixtures/mock-ocr.json" in the project root)
+ */
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', '..', '..', 'fixtures', 'mock-ocr.json');
+
+// Parsed fixtures keyed by path, read on first use
+const fixtures = new Map();
+
+function getFixturePath() {
+  return process.env.OCR_MOCK_FIXTURE ? path.resolve(process.env.OCR_MOCK_FIXTURE) : DEFAULT_FIXTURE;
+}
+
+function loadFixture() {
+  const fixturePath = getFixturePath();
+  if (!fixtures.has(fixturePath)) {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    } catch (error) {
+      throw new OCRError(`OCR mock fixture ${fixturePath} could not be read: ${error.message}`, 'OCR_NOT_CONFIGURED');
+    }
+
+    // Filenames match case-insensitively; hashes are lowercase hex anyway
+    const images = new Map();
+    for (const [key, entry] of Object.entries(fixture.images || {})) {
+      images.set(key.toLowerCase(), entry);
+    }
+    fixtures.set(fixturePath, { images, defaultEntry: fixture.default ?? null });
+  }
+  return fixtures.get(fixturePath);
+}
+
+function toResult(entry) {
+  if (typeof entry === 'string') {
+    return { text: entry.trim(), lines: [] };
+  }
+  return { text: String(entry.text || '').trim(), lines: Array.isArray(entry.lines) ? entry.lines : [] };
+}
+
+/**
+ * Find the recorded OCR result for an image
+ * @param {Buffer} imageBuffer - Image as sent to OCR
+ * @param {Object} [options]
+ * @param {string} [options.imageHash] - sha256 of the image as uploaded
+ * @param {string} [options.filename] - Upload filename
+ * @returns {{text: string, lines: Object[]}|null} - null when the fixture has no entry and no default
+ */
+function lookup(imageBuffer, options = {}) {
+  const { images, defaultEntry } = loadFixture();
+  const keys = [
+    options.imageHash,
+    crypto.createHash('sha256').update(imageBuffer).digest('hex'),
+    options.filename && path.basename(options.filename),
+  ];
+
+  for (const key of keys) {
+    if (key && images.has(key.toLowerCase())) {
+      return toResult(images.get(key.toLowerCase()));
+    }
+  }
+  return defaultEntry === null ? null : toResult(defaultEntry);
+}
+
+/**
+ * The fixture is part of the repo, so the engine is always usable
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Answer OCR from the fixture.
+ * options.imageHash / options.filename: identify the upload (see lookup).
+ * Returns { text, lines } - see ocrLayout for the lines shape.
+ */
+async function recognize(imageBuffer, options = {}) {
+  const result = lookup(imageBuffer, options);
+  if (!result) {
+    console.warn(`[OCR Mock] No fixture for image ${options.filename || options.imageHash || '(unnamed)'}`);
+    return { text: '', lines: [] };
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'mock',
+  isConfigured,
+  recognize,
+  lookup,
+};
@@ -0,0 +1,10 @@
+// Controlled error class for OCR errors
+class OCRError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OCRError';
+    this.code = code;
+  }
+}
+
+module.exports = OCRError;
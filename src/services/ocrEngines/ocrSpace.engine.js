@@ -0,0 +1,146 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const OCRError = require('./ocrError');
+const { unionBoxes } = require('../../utils/ocrLayout');
+const { LANGUAGES } = require('../../utils/labelLanguages');
+
+// OCR.Space API configuration (OCR_SPACE_API_URL points it elsewhere, e.g. the stub server)
+const DEFAULT_API_URL = 'https://api.ocr.space/parse/image';
+
+function getApiUrl() {
+  return process.env.OCR_SPACE_API_URL || DEFAULT_API_URL;
+}
+
+/**
+ * Convert the OCR.Space TextOverlay to the shared OCR layout shape.
+ * OCR.Space doesn't report confidence, so it is always null.
+ */
+function normalizeOverlay(overlay) {
+  if (!overlay || !Array.isArray(overlay.Lines)) return [];
+
+  return overlay.Lines.map(line => {
+    const words = (line.Words || []).map(word => ({
+      text: word.WordText,
+      confidence: null,
+      box: { x: word.Left, y: word.Top, width: word.Width, height: word.Height },
+    }));
+
+    return {
+      text: line.LineText || words.map(w => w.text).join(' '),
+      confidence: null,
+      box: unionBoxes(words.map(w => w.box)),
+      words,
+    };
+  });
+}
+
+/**
+ * Check whether OCR.Space can be used (API key present)
+ */
+function isConfigured() {
+  return !!process.env.OCR_SPACE_API_KEY;
+}
+
+/**
+ * Run OCR on a Buffer using OCR.Space API.
+ * options.language: label language code (see labelLanguages), English by default.
+ * Returns { text, lines } - see ocrLayout for the lines shape.
+ * Throws controlled errors with codes.
+ */
+async function recognize(imageBuffer, options = {}) {
+  // Check if API key is configured
+  const apiKey = process.env.OCR_SPACE_API_KEY;
+  if (!apiKey) {
+    const error = new OCRError('OCR service not configured. Set OCR_SPACE_API_KEY in environment.', 'OCR_NOT_CONFIGURED');
+    throw error;
+  }
+
+  try {
+    // Create form data with the image buffer
+    const form = new FormData();
+    form.append('apikey', apiKey);
+    form.append('file', imageBuffer, {
+      filename: 'image.jpg',
+      contentType: 'image/jpeg'
+    });
+    form.append('language', LANGUAGES[options.language]?.ocrSpace || 'eng');
+    form.append('isOverlayRequired', 'true');
+    form.append('detectOrientation', 'true');
+    form.append('scale', 'true');
+    form.append('OCREngine', '2');
+
+    // Send request to OCR.Space API
+    const response = await axios.post(getApiUrl(), form, {
+      headers: {
+        ...form.getHeaders(),
+      },
+      timeout: 30000, // 30 second timeout
+    });
+
+    // Check for OCR.Space specific errors
+    if (response.data.IsErroredOnProcessing) {
+      const errorMessage = response.data.ErrorMessage?.[0] || 'OCR processing failed';
+      console.error('OCR.Space API error:', errorMessage);
+      
+      // Handle specific error codes from OCR.Space
+      if (errorMessage.includes('daily')) {
+        throw new OCRError('OCR daily limit exceeded', 'OCR_DAILY_LIMIT');
+      }
+      if (errorMessage.includes('credit') || errorMessage.includes('key')) {
+        throw new OCRError('OCR API key invalid or insufficient credits', 'OCR_AUTH_FAILED');
+      }
+      
+      throw new OCRError(`OCR processing failed: ${errorMessage}`, 'OCR_FAILED');
+    }
+
+    // Check if parsed results exist
+    if (!response.data.ParsedResults || response.data.ParsedResults.length === 0) {
+      console.warn('OCR.Space returned no results');
+      return { text: '', lines: [] };
+    }
+
+    // Extract text and word overlay from the first result
+    const parsedResult = response.data.ParsedResults[0] || {};
+    const parsedText = parsedResult.ParsedText || '';
+    return {
+      text: parsedText.trim(),
+      lines: normalizeOverlay(parsedResult.TextOverlay),
+    };
+
+  } catch (error) {
+    // If it's already a controlled error, rethrow it
+    if (error instanceof OCRError) {
+      throw error;
+    }
+
+    // Log detailed error info for debugging
+    if (error.response) {
+      console.error('OCR.Space response error:', JSON.stringify(error.response.data));
+    } else if (error.request) {
+      console.error('OCR.Space request failed (network error):', error.message);
+    } else {
+      console.error('OCR.Space error:', error.message);
+    }
+
+    // Check for network errors
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.code === 'ETIMEDOUT') {
+      throw new OCRError('OCR service unavailable due to network issue', 'OCR_NETWORK_ERROR');
+    }
+
+    // Check for timeout
+    if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
+      throw new OCRError('OCR service timed out', 'OCR_TIMEOUT');
+    }
+
+    // For any other unexpected errors, throw a controlled error
+    const controlledError = new OCRError('OCR processing failed', 'OCR_FAILED');
+    controlledError.originalError = error;
+    throw controlledError;
+  }
+}
+
+module.exports = {
+  name: 'ocrspace',
+  isConfigured,
+  recognize,
+};
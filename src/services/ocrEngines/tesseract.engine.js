@@ -0,0 +1,142 @@
+const OCRError = require('./ocrError');
+const { LANGUAGES } = require('../../utils/labelLanguages');
+
+/**
+ * Local OCR engine backed by tesseract.js (runs in a worker thread, no network
+ * needed once the traineddata is cached).
+ *
+ * Configuration (from environment variables):
+ * - TESSERACT_LANG (default "eng"): traineddata language(s) when the request
+ *   doesn't name a label language, e.g. "eng+fra"
+ * - TESSERACT_LANG_PATH (optional): directory or URL holding *.traineddata files
+ * - TESSERACT_CACHE_PATH (optional): where downloaded traineddata is cached
+ * - TESSERACT_TIMEOUT_MS (default 30000): max time for one recognition
+ */
+
+const TIMEOUT_MS = parseInt(process.env.TESSERACT_TIMEOUT_MS || '30000', 10);
+
+// One lazily created worker per language string, shared across requests
+const workers = new Map();
+
+function getWorker(lang) {
+  if (!workers.has(lang)) {
+    const { createWorker } = require('tesseract.js');
+
+    const workerPromise = new Promise((resolve, reject) => {
+      // tesseract.js rethrows worker errors without an errorHandler, and a failed
+      // traineddata download never settles createWorker - reject from here instead
+      const options = {
+        errorHandler: (error) => {
+          console.error('Tesseract worker error:', error?.message || error);
+          reject(error);
+        },
+      };
+      if (process.env.TESSERACT_LANG_PATH) options.langPath = process.env.TESSERACT_LANG_PATH;
+      if (process.env.TESSERACT_CACHE_PATH) options.cachePath = process.env.TESSERACT_CACHE_PATH;
+
+      createWorker(lang, undefined, options).then(resolve, reject);
+    }).catch((error) => {
+      // Don't cache a failed worker - allow the next request to retry
+      workers.delete(lang);
+      throw error;
+    });
+    workers.set(lang, workerPromise);
+  }
+  return workers.get(lang);
+}
+
+/**
+ * Convert a Tesseract bbox ({x0, y0, x1, y1}) to { x, y, width, height }
+ */
+function toBox(bbox) {
+  return {
+    x: bbox.x0,
+    y: bbox.y0,
+    width: bbox.x1 - bbox.x0,
+    height: bbox.y1 - bbox.y0,
+  };
+}
+
+/**
+ * Convert Tesseract lines/words to the shared OCR layout shape.
+ * Tesseract confidences are 0-100; ours are 0-1.
+ */
+function normalizeLines(lines) {
+  if (!Array.isArray(lines)) return [];
+
+  return lines.map(line => ({
+    text: (line.text || '').trim(),
+    confidence: toConfidence(line.confidence),
+    box: toBox(line.bbox),
+    words: (line.words || []).map(word => ({
+      text: word.text,
+      confidence: toConfidence(word.confidence),
+      box: toBox(word.bbox),
+    })),
+  }));
+}
+
+function toConfidence(value) {
+  return typeof value === 'number' ? Math.round(value) / 100 : null;
+}
+
+/**
+ * Tesseract runs locally, so it is always considered configured
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Run OCR on a Buffer using a local Tesseract worker.
+ * options.language: label language code (see labelLanguages), TESSERACT_LANG by default.
+ * Returns { text, lines } - see ocrLayout for the lines shape.
+ * Throws controlled errors with codes.
+ */
+async function recognize(imageBuffer, options = {}) {
+  const lang = LANGUAGES[options.language]?.tesseract || process.env.TESSERACT_LANG || 'eng';
+
+  let worker;
+  try {
+    worker = await getWorker(lang);
+  } catch (error) {
+    console.error('Tesseract worker init failed:', error?.message || error);
+    const controlledError = new OCRError('Local OCR engine could not be started', 'OCR_ENGINE_UNAVAILABLE');
+    controlledError.originalError = error;
+    throw controlledError;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new OCRError('OCR service timed out', 'OCR_TIMEOUT')), TIMEOUT_MS);
+  });
+
+  try {
+    const result = await Promise.race([
+      worker.recognize(imageBuffer, {}, { text: true, blocks: true }),
+      timeout,
+    ]);
+    const text = result?.data?.text || '';
+    return {
+      text: text.trim(),
+      lines: normalizeLines(result?.data?.lines),
+    };
+  } catch (error) {
+    if (error instanceof OCRError) {
+      throw error;
+    }
+
+    console.error('Tesseract error:', error?.message || error);
+    const controlledError = new OCRError('OCR processing failed', 'OCR_FAILED');
+    controlledError.originalError = error;
+    throw controlledError;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  name: 'tesseract',
+  isConfigured,
+  recognize,
+};
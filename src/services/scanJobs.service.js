@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { checkPublicHost, publicOnlyLookup } = require('../utils/publicAddress');
+const scanJobRepository = require('../repositories/scanJob.repository');
+const { runImageScan, runMultiImageScan, runTextScan, ScanError } = require('./scanPipeline.service');
+
+/**
+ * Async scan jobs - `?async=true` scans are queued in scan_jobs and run by a
+ * worker that polls the table (in the API process, or standalone via
+ * scripts/scan_worker.js). Several workers can share the queue: jobs are
+ * claimed with FOR UPDATE SKIP LOCKED.
+ *
+ * Each job records the pipeline stages it reaches (ocr, extraction, dataset,
+ * ai, saved). When it finishes, its webhook URL (if any) is POSTed the outcome.
+ * Webhooks only go to public addresses: the host is checked when the job is
+ * queued and again before every delivery attempt, and connections are refused
+ * if it resolves to a loopback, private, link-local or metadata address.
+ *
+ * Env:
+ * - SCAN_WORKER_ENABLED: set to "false" to not run a worker in the API process (default on)
+ * - SCAN_WORKER_POLL_MS: how often an idle worker checks for jobs (default 1000)
+ * - SCAN_WORKER_CONCURRENCY: jobs one worker runs at a time (default 2)
+ * - SCAN_JOB_DEADLINE_MS: AI classification budget per job (default 120000)
+ * - SCAN_JOB_STALE_SECONDS: running jobs not updated for this long are requeued (default 600)
+ * - SCAN_WEBHOOK_SECRET: when set, webhooks carry X-SafeScan-Signature: sha256=<HMAC of the body>
+ */
+
+const POLL_MS = parseInt(process.env.SCAN_WORKER_POLL_MS || '1000', 10);
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.SCAN_WORKER_CONCURRENCY || '2', 10) || 1);
+const JOB_DEADLINE_MS = parseInt(process.env.SCAN_JOB_DEADLINE_MS || '120000', 10);
+const STALE_SECONDS = parseInt(process.env.SCAN_JOB_STALE_SECONDS || '600', 10);
+const MAX_ATTEMPTS = 3;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY_MS = 1000;
+const MAX_WEBHOOK_URL_LENGTH = 2000;
+
+// Webhook connections re-check the resolved address at connect time
+const webhookHttpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isWorkerEnabled() {
+  return (process.env.SCAN_WORKER_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Check a client-supplied webhook URL, resolving its host
+ * @param {string} url
+ * @returns {Promise<string|null>} - Reason the URL is rejected, or null when it's usable
+ */
+async function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_WEBHOOK_URL_LENGTH) {
+    return `webhookUrl must be a URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'webhookUrl must be a valid URL';
+  }
+
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['http:', 'https:'];
+  if (!allowed.includes(parsed.protocol)) {
+    return `webhookUrl must use ${allowed.map(p => p.slice(0, -1)).join(' or ')}`;
+  }
+  if (parsed.username || parsed.password) {
+    return 'webhookUrl must not contain credentials';
+  }
+
+  const hostError = await checkPublicHost(parsed.hostname);
+  return hostError ? `webhookUrl is not allowed: ${hostError}` : null;
+}
+
+/**
+ * Queue a scan
+ * @param {Object} job
+ * @param {string} job.type - "image", "multi" or "text"
+ * @param {number|null} job.userId - Owner; the scan is saved to their history
+ * @param {Object} job.input - { language, productCategory } plus text for text scans
+ * @param {Object[]} [job.files] - Preprocessed uploads for image scans
+ * @param {string|null} [job.webhookUrl]
+ * @returns {Promise<Object>} - The queued job row
+ */
+async function enqueueScanJob({ type, userId, input, files = [], webhookUrl = null }) {
+  const job = await scanJobRepository.create({
+    id: crypto.randomUUID(),
+    userId,
+    type,
+    input,
+    webhookUrl,
+    images: files,
+  });
+
+  console.log(`[ScanJobs] Queued ${type} job ${job.id}`);
+  notifyScanWorker();
+  return job;
+}
+
+/**
+ * Look up a job for its owner. Guest jobs are readable by anyone holding the ID.
+ * @param {string} id - Job ID
+ * @param {number|null} userId - Requesting user
+ * @returns {Promise<Object|null>} - Formatted job, or null when not found / not theirs
+ */
+async function getScanJob(id, userId) {
+  if (!UUID_PATTERN.test(id)) {
+    return null;
+  }
+
+  const job = await scanJobRepository.findById(id);
+  if (!job || (job.user_id !== null && String(job.user_id) !== String(userId))) {
+    return null;
+  }
+  return formatJob(job);
+}
+
+function formatJob(job) {
+  const formatted = {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages || [],
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+  };
+
+  if (job.status === 'completed') {
+    formatted.result = job.result;
+  }
+  if (job.status === 'failed') {
+    formatted.error = job.error;
+  }
+  if (job.webhook_url) {
+    formatted.webhook = { status: job.webhook_status || 'pending', attempts: job.webhook_attempts };
+  }
+  return formatted;
+}
+
+// Rebuild the upload objects the scan pipeline expects from stored images
+function toFile(image) {
+  return {
+    buffer: image.data,
+    originalname: image.filename,
+    originalHash: image.original_hash,
+    preprocessingSteps: image.preprocessing_steps || [],
+    preprocessingScale: image.preprocessing_scale || 1,
+  };
+}
+
+/**
+ * Run one claimed job through the scan pipeline and record the outcome
+ * @param {Object} job - Job row (status running)
+ */
+async function processJob(job) {
+  const onStage = (stage) => scanJobRepository.recordStage(job.id, stage);
+  const input = {
+    language: job.input.language || null,
+    productCategory: job.input.productCategory || null,
+    userId: job.user_id,
+    deadline: Date.now() + JOB_DEADLINE_MS,
+  };
+
+  let finished;
+  try {
+    let result;
+    if (job.type === 'text') {
+      result = await runTextScan({ ...input, text: job.input.text }, { onStage });
+    } else {
+      const files = (await scanJobRepository.loadImages(job.id)).map(toFile);
+      if (files.length === 0) {
+        throw new Error('Scan job has no images');
+      }
+      result = job.type === 'image'
+        ? await runImageScan({ ...input, file: files[0] }, { onStage })
+        : await runMultiImageScan({ ...input, files }, { onStage });
+    }
+
+    finished = await scanJobRepository.complete(job.id, result);
+    console.log(`[ScanJobs] Job ${job.id} completed`);
+  } catch (error) {
+    let body;
+    if (error instanceof ScanError) {
+      body = error.body;
+    } else {
+      console.error(`[ScanJobs] Job ${job.id} error:`, error.message);
+      body = { error: 'Scan processing failed', details: 'An unexpected error occurred' };
+    }
+
+    finished = await scanJobRepository.fail(job.id, body);
+    console.warn(`[ScanJobs] Job ${job.id} failed: ${body.error}`);
+  }
+
+  await finishJob(finished);
+}
+
+// Drop a finished job's images and notify its webhook
+async function finishJob(job) {
+  if (!job) return;
+
+  await scanJobRepository.deleteImages(job.id).catch((error) => {
+    console.warn(`[ScanJobs] Could not delete images of job ${job.id}: ${error.message}`);
+  });
+
+  if (job.webhook_url) {
+    await deliverWebhook(job);
+  }
+}
+
+/**
+ * POST the job outcome to its webhook URL, retrying with backoff
+ * @param {Object} job - Finished job row
+ * @returns {Promise<boolean>} - Whether the webhook accepted it (2xx)
+ */
+async function deliverWebhook(job) {
+  const payload = {
+    event: job.status === 'completed' ? 'scan.job.completed' : 'scan.job.failed',
+    jobId: job.id,
+    status: job.status,
+    completedAt: job.completed_at,
+  };
+  if (job.status === 'completed') {
+    payload.result = job.result;
+  } else {
+    payload.error = job.error;
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'X-SafeScan-Event': payload.event };
+  if (process.env.SCAN_WEBHOOK_SECRET) {
+    const signature = crypto.createHmac('sha256', process.env.SCAN_WEBHOOK_SECRET).update(body).digest('hex');
+    headers['X-SafeScan-Signature'] = `sha256=${signature}`;
+  }
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    // The host may resolve differently than when the job was queued
+    const urlError = await validateWebhookUrl(job.webhook_url);
+    if (urlError) {
+      console.warn(`[ScanJobs] Webhook for job ${job.id} not sent: ${urlError}`);
+      await recordWebhook(job.id, 'failed', attempt);
+      return false;
+    }
+
+    try {
+      await axios.post(job.webhook_url, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: webhookHttpAgent,
+        httpsAgent: webhookHttpsAgent,
+      });
+      await recordWebhook(job.id, 'delivered', attempt);
+      return true;
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      console.warn(`[ScanJobs] Webhook for job ${job.id} failed (attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS}): ${reason}`);
+      if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  await recordWebhook(job.id, 'failed', WEBHOOK_MAX_ATTEMPTS);
+  return false;
+}
+
+async function recordWebhook(id, status, attempts) {
+  await scanJobRepository.recordWebhook(id, status, attempts).catch((error) => {
+    console.warn(`[ScanJobs] Could not record webhook outcome of job ${id}: ${error.message}`);
+  });
+}
+
+// Worker state
+let workerRunning = false;
+let polling = false;
+let pollTimer = null;
+let lastStaleCheck = 0;
+const activeJobs = new Set();
+
+function schedulePoll(delay) {
+  if (!workerRunning || pollTimer) return;
+  pollTimer = setTimeout(poll, delay);
+}
+
+async function poll() {
+  pollTimer = null;
+  if (polling) return;
+  polling = true;
+
+  try {
+    if (Date.now() - lastStaleCheck >= STALE_CHECK_INTERVAL_MS) {
+      lastStaleCheck = Date.now();
+      const { requeued, failed } = await scanJobRepository.requeueStale(STALE_SECONDS, MAX_ATTEMPTS);
+      if (requeued > 0) {
+        console.warn(`[ScanWorker] Requeued ${requeued} stale job(s)`);
+      }
+      for (const job of failed) {
+        console.warn(`[ScanWorker] Giving up on job ${job.id} after ${job.attempts} attempts`);
+        await finishJob(job);
+      }
+    }
+
+    while (workerRunning && activeJobs.size < WORKER_CONCURRENCY) {
+      const job = await scanJobRepository.claimNext();
+      if (!job) break;
+
+      const running = processJob(job)
+        .catch((error) => console.error(`[ScanWorker] Job ${job.id} could not be finalized:`, error.message))
+        .finally(() => {
+          activeJobs.delete(running);
+          notifyScanWorker();
+        });
+      activeJobs.add(running);
+    }
+  } catch (error) {
+    console.error('[ScanWorker] Poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+
+  schedulePoll(POLL_MS);
+}
+
+/**
+ * Start polling for queued jobs (no-op if already running)
+ */
+function startScanWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[ScanWorker] Started (concurrency ${WORKER_CONCURRENCY}, poll every ${POLL_MS} ms)`);
+  schedulePoll(0);
+}
+
+/**
+ * Stop claiming jobs and wait for the ones in progress
+ * @returns {Promise<void>}
+ */
+async function stopScanWorker() {
+  workerRunning = false;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  await Promise.allSettled([...activeJobs]);
+  console.log('[ScanWorker] Stopped');
+}
+
+/**
+ * Poll right away (after a job is queued in this process)
+ */
+function notifyScanWorker() {
+  if (!workerRunning) return;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  schedulePoll(0);
+}
+
+module.exports = {
+  enqueueScanJob,
+  getScanJob,
+  validateWebhookUrl,
+  startScanWorker,
+  stopScanWorker,
+  notifyScanWorker,
+  isWorkerEnabled,
+};
@@ -0,0 +1,1001 @@
+const ocr = require('./ocr.service');
+const { analyzeWithAI, isModelServiceConfigured, isModelServiceAvailable } = require('./aiModel.service');
+const {
+  isDatasetAvailable,
+  matchIngredientsWithDataset
+} = require('./datasetAnalysis.service');
+const datasetVersionRepository = require('../repositories/datasetVersion.repository');
+const { extractIngredientsSection, tokenizeIngredients } = require('../utils/extractIngredientsSection');
+const { scaleLines, locateTokens } = require('../utils/ocrLayout');
+const { stitchOcrTexts } = require('../utils/stitchOcrText');
+const { detectLanguage } = require('../utils/detectLanguage');
+const {
+  explainIngredientsBatched,
+  isProviderConfigured,
+  isProviderAvailable,
+  normalizeName,
+  getMinConfidence
+} = require('./aiExplain.service');
+const { getCachedClassifications, storeClassifications } = require('./aiCache.service');
+const { correctIngredientEntries } = require('./ocrCorrection.service');
+const db = require('../db');
+
+/**
+ * Scan pipeline - the ocr -> extraction -> dataset -> ai -> saved stages behind
+ * the scan endpoints, shared by synchronous requests and async scan jobs.
+ *
+ * The run*Scan functions resolve with the scan response body, or throw a
+ * ScanError carrying the HTTP status and body to answer with. options.onStage
+ * is called with each stage name as the scan reaches it.
+ */
+
+// Maximum number of ingredients to send to AI at once
+const MAX_AI_INGREDIENTS = parseInt(process.env.MAX_AI_INGREDIENTS || '25', 10);
+
+// Time budget for a whole scan request; AI classification still running when it
+// runs out is abandoned and those ingredients are returned as pending
+const SCAN_DEADLINE_MS = parseInt(process.env.SCAN_DEADLINE_MS || '30000', 10);
+
+const DISCLAIMER =
+  'SafeScan provides informational guidance only and is not medical advice. If you have a reaction or concern, consult a healthcare professional.';
+
+// Which classifiers handle ingredients the dataset doesn't know (AI_CLASSIFIER):
+// - "llm" (default): the LLM explain service (aiExplain)
+// - "model": our own classifier at AI_SERVICE_URL (aiModel) instead of the LLM
+// - "both": the model first, the LLM for whatever it leaves unclassified
+const CLASSIFIER_MODES = ['llm', 'model', 'both'];
+
+const UNREADABLE_LABEL_ERROR =
+  'Unable to read the label text. Try better lighting, move closer, or hold the camera steady.';
+
+function getClassifierMode() {
+  const mode = (process.env.AI_CLASSIFIER || 'llm').toLowerCase().trim();
+  if (!CLASSIFIER_MODES.includes(mode)) {
+    console.warn(`[Scan] Unknown AI_CLASSIFIER "${mode}", using "llm"`);
+    return 'llm';
+  }
+  return mode;
+}
+
+// Controlled error for a scan that can't complete, with the response to send
+class ScanError extends Error {
+  constructor(status, body) {
+    super(body.error);
+    this.name = 'ScanError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Scan one label photo
+ * @param {Object} input
+ * @param {Object} input.file - Uploaded (preprocessed) file: { buffer, originalname, preprocessingSteps, preprocessingScale }
+ * @param {string|null} input.language - Requested label language, detected when null
+ * @param {string|null} input.productCategory
+ * @param {number|null} input.userId - Saves the scan to history when set
+ * @param {number} [input.deadline] - Epoch ms by which AI classification must finish
+ * @param {Object} [options]
+ * @param {Function} [options.onStage] - Stage callback
+ * @returns {Promise<Object>} - Scan response body
+ */
+async function runImageScan({ file, language: requestedLanguage, productCategory, userId, deadline }, options = {}) {
+  const onStage = options.onStage || (() => {});
+
+  await onStage('ocr');
+  let ocrResult;
+  try {
+    ocrResult = await ocr(file.buffer, {
+      language: requestedLanguage,
+      filename: file.originalname,
+      imageHash: file.originalHash,
+    });
+  } catch (ocrError) {
+    throw toOcrScanError(ocrError);
+  }
+  const extractedText = ocrResult.text;
+  // Boxes are reported in the coordinates of the uploaded image
+  const ocrLines = scaleLines(ocrResult.lines, file.preprocessingScale || 1);
+
+  // If OCR returns empty/garbage, return a friendly message
+  if (!extractedText || extractedText.length < 3) {
+    throw new ScanError(422, { error: UNREADABLE_LABEL_ERROR });
+  }
+
+  // Extract ingredients section from OCR text using the label language's markers
+  await onStage('extraction');
+  const { language, languageDetected } = resolveLanguage(requestedLanguage, extractedText);
+  const ingredientsText = extractIngredientsSection(extractedText, language);
+
+  // Perform full analysis: dataset + AI for unmatched, with word boxes from OCR
+  const analysis = await performFullAnalysis(ingredientsText, { fromOcr: true, ocrLines, deadline, onStage });
+
+  const { scanId, saved, saveError } = await saveScanIfUser(userId, {
+    imagePath: file.originalname || null,
+    ocrText: extractedText,
+    productCategory,
+    analysis,
+  }, onStage);
+
+  const degradedServices = ocrResult.degraded ? ['ocr', ...analysis.degradedServices] : analysis.degradedServices;
+  return buildResponse({ scanId, saved, saveError, userId, analysis, degradedServices }, {
+    extractedText,
+    ingredientsText,
+    language,
+    languageDetected,
+    ocrEngine: ocrResult.engine,
+    preprocessingSteps: file.preprocessingSteps || [],
+    productCategory,
+  });
+}
+
+/**
+ * Scan several photos of one wrapped label: OCR each, stitch the text
+ * (dropping lines repeated between photos) and analyze the merged ingredient list once
+ * @param {Object} input - As runImageScan, with files (in capture order) instead of file
+ * @param {Object} [options]
+ * @param {Function} [options.onStage] - Stage callback
+ * @returns {Promise<Object>} - Scan response body
+ */
+async function runMultiImageScan({ files, language: requestedLanguage, productCategory, userId, deadline }, options = {}) {
+  const onStage = options.onStage || (() => {});
+
+  // OCR each photo in order
+  await onStage('ocr');
+  const images = [];
+  const ocrLines = [];
+  for (const [index, file] of files.entries()) {
+    let ocrResult;
+    try {
+      ocrResult = await ocr(file.buffer, {
+        language: requestedLanguage,
+        filename: file.originalname,
+        imageHash: file.originalHash,
+      });
+    } catch (ocrError) {
+      throw toOcrScanError(ocrError);
+    }
+
+    images.push({
+      position: index,
+      imagePath: file.originalname,
+      imageHash: file.originalHash || null,
+      ocrText: ocrResult.text,
+      ocrEngine: ocrResult.engine,
+      ocrDegraded: ocrResult.degraded,
+      preprocessingSteps: file.preprocessingSteps || [],
+    });
+
+    // Word boxes in the coordinates of the photo they came from
+    for (const line of scaleLines(ocrResult.lines, file.preprocessingScale || 1)) {
+      ocrLines.push({
+        ...line,
+        words: line.words.map(word => ({ ...word, box: { ...word.box, image: index } })),
+      });
+    }
+  }
+
+  // Stitch the photos into one label text
+  const { text: extractedText, overlaps } = stitchOcrTexts(images.map(image => image.ocrText));
+
+  if (!extractedText || extractedText.length < 3) {
+    throw new ScanError(422, { error: UNREADABLE_LABEL_ERROR });
+  }
+
+  await onStage('extraction');
+  const { language, languageDetected } = resolveLanguage(requestedLanguage, extractedText);
+  const ingredientsText = extractIngredientsSection(extractedText, language);
+
+  // One analysis over the merged ingredient list
+  const analysis = await performFullAnalysis(ingredientsText, { fromOcr: true, ocrLines, deadline, onStage });
+
+  const { scanId, saved, saveError } = await saveScanIfUser(userId, {
+    imagePath: images[0].imagePath,
+    ocrText: extractedText,
+    productCategory,
+    analysis,
+    images,
+  }, onStage);
+
+  const degradedServices = images.some(image => image.ocrDegraded)
+    ? ['ocr', ...analysis.degradedServices]
+    : analysis.degradedServices;
+  return buildResponse({ scanId, saved, saveError, userId, analysis, degradedServices }, {
+    extractedText,
+    ingredientsText,
+    language,
+    languageDetected,
+    images: images.map((image, index) => ({
+      position: image.position,
+      filename: image.imagePath,
+      ocrEngine: image.ocrEngine,
+      preprocessingSteps: image.preprocessingSteps,
+      extractedText: image.ocrText,
+      overlap: overlaps[index],
+    })),
+    productCategory,
+  });
+}
+
+/**
+ * Analyze (edited) label text
+ * @param {Object} input - As runImageScan, with text instead of file
+ * @param {Object} [options]
+ * @param {Function} [options.onStage] - Stage callback
+ * @param {Function} [options.onTokens] - Parsed ingredients callback (see performFullAnalysis)
+ * @param {Function} [options.onIngredients] - Partial results callback (see performFullAnalysis)
+ * @returns {Promise<Object>} - Scan response body
+ */
+async function runTextScan({ text, language: requestedLanguage, productCategory, userId, deadline }, options = {}) {
+  const onStage = options.onStage || (() => {});
+
+  // Extract ingredients section from text using the label language's markers
+  await onStage('extraction');
+  const { language, languageDetected } = resolveLanguage(requestedLanguage, text);
+  const ingredientsText = extractIngredientsSection(text, language);
+
+  // Perform full analysis with dataset + AI
+  const analysis = await performFullAnalysis(ingredientsText, {
+    deadline,
+    onStage,
+    onTokens: options.onTokens,
+    onIngredients: options.onIngredients,
+  });
+
+  const { scanId, saved, saveError } = await saveScanIfUser(userId, {
+    ocrText: text,
+    productCategory: productCategory || null,
+    analysis,
+  }, onStage);
+
+  return buildResponse({ scanId, saved, saveError, userId, analysis, degradedServices: analysis.degradedServices }, {
+    extractedText: text,
+    ingredientsText,
+    language,
+    languageDetected,
+    productCategory: productCategory || null,
+  });
+}
+
+/**
+ * Only authenticated users' scans are saved to history
+ */
+async function saveScanIfUser(userId, scan, onStage) {
+  if (!userId) {
+    return { scanId: null, saved: false, saveError: null };
+  }
+
+  const result = await saveScan({ userId, ...scan });
+  if (result.saved) {
+    await onStage('saved');
+  }
+  return result;
+}
+
+/**
+ * Assemble the scan response: identity, scan-specific fields, then the analysis.
+ * degraded is set when an OCR or AI dependency was down and results come from a
+ * fallback engine or are missing AI classifications (see degradedServices).
+ */
+function buildResponse({ scanId, saved, saveError, userId, analysis, degradedServices }, fields) {
+  const response = {
+    scanId,
+    saved,
+    mode: userId ? 'user' : 'guest',
+    ...fields,
+    risk_level: analysis.risk_level,
+    overallRisk: analysis.risk_level,
+    ingredients: analysis.ingredients,
+    summary: analysis.summary,
+    source: analysis.source,
+    modelVersion: analysis.modelVersion,
+    datasetVersion: analysis.datasetVersion,
+    degraded: degradedServices.length > 0,
+    degradedServices,
+    disclaimer: DISCLAIMER,
+  };
+
+  // Include saveError for debugging when saved is false
+  if (!saved && saveError) {
+    response.saveError = saveError;
+  }
+
+  return response;
+}
+
+/**
+ * Use the requested label language, or detect it from the text
+ */
+function resolveLanguage(requestedLanguage, text) {
+  if (requestedLanguage) {
+    return { language: requestedLanguage, languageDetected: false };
+  }
+  return { language: detectLanguage(text).language, languageDetected: true };
+}
+/**
+ * Turn a failed OCR call into the ScanError to answer with
+ * Maps controlled OCR error codes to friendly 503/500 responses
+ */
+function toOcrScanError(ocrError) {
+  console.error('OCR processing error:', ocrError.message);
+  
+  // Handle specific OCR error codes from OCR.Space
+  if (ocrError.code === 'OCR_NOT_CONFIGURED') {
+    return new ScanError(503, {
+      error: 'OCR service not configured',
+      details: 'Please set OCR_SPACE_API_KEY in environment variables',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_DAILY_LIMIT') {
+    return new ScanError(503, {
+      error: 'OCR daily limit exceeded',
+      details: 'OCR.Space free API daily limit reached. Try again tomorrow.',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_AUTH_FAILED') {
+    return new ScanError(503, {
+      error: 'OCR API key invalid',
+      details: 'Please check your OCR_SPACE_API_KEY',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_NETWORK_ERROR') {
+    return new ScanError(503, {
+      error: 'OCR service unavailable',
+      details: 'Network error connecting to OCR service',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_TIMEOUT') {
+    return new ScanError(503, {
+      error: 'OCR service timed out',
+      details: 'The image took too long to process. Try a smaller image.',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_ENGINE_UNAVAILABLE') {
+    return new ScanError(503, {
+      error: 'OCR service unavailable',
+      details: 'The local OCR engine could not be started',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_CIRCUIT_OPEN') {
+    return new ScanError(503, {
+      error: 'OCR service temporarily unavailable',
+      details: 'OCR has been failing repeatedly. Try again in a minute.',
+    });
+  }
+  
+  if (ocrError.code === 'OCR_FAILED') {
+    if (ocrError.response?.data) {
+      console.error('OCR API error response:', JSON.stringify(ocrError.response.data));
+    }
+    return new ScanError(500, {
+      error: 'OCR processing failed',
+      details: ocrError.message || 'Failed to extract text from image',
+    });
+  }
+  
+  return new ScanError(500, {
+    error: 'Scan processing failed',
+    details: 'OCR extraction failed',
+  });
+}
+
+/**
+ * Save a scan, its ingredients and (for multi-image scans) its source images
+ * in one transaction. Never throws: failures are reported as saveError.
+ *
+ * @param {Object} scan - { userId, imagePath, ocrText, productCategory, analysis, images }
+ * @returns {Promise<{scanId: number|null, saved: boolean, saveError: string|null}>}
+ */
+async function saveScan({ userId, imagePath = null, ocrText, productCategory, analysis, images = [] }) {
+  let client;
+  try {
+    client = await db.pool.connect();
+    await client.query('BEGIN');
+
+    // Insert scan record
+    const scanResult = await client.query(
+      'INSERT INTO scans (user_id, image_path, ocr_text, product_category, overall_risk, model_version, dataset_version_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+      [userId, imagePath, ocrText, productCategory, analysis.risk_level, analysis.modelVersion || null, analysis.datasetVersion || null]
+    );
+    const scanId = scanResult.rows[0].id;
+
+    // Insert scan_ingredients for each analyzed ingredient
+    for (const ing of analysis.ingredients || []) {
+      // Map risk to database value
+      const riskValue = mapStatusToDbValue(ing.status);
+
+      // Try to find existing ingredient or insert new
+      const ingredientResult = await client.query(
+        'SELECT id FROM ingredients WHERE LOWER(name) = LOWER($1)',
+        [ing.name]
+      );
+
+      let ingredientId;
+      if (ingredientResult.rows.length === 0) {
+        const newIngredient = await client.query(
+          'INSERT INTO ingredients (name, normalized_name, risk) VALUES ($1, $2, $3) RETURNING id',
+          [ing.name, ing.name.toLowerCase(), riskValue]
+        );
+        ingredientId = newIngredient.rows[0].id;
+      } else {
+        ingredientId = ingredientResult.rows[0].id;
+      }
+
+      // Insert scan_ingredient relationship
+      await client.query(
+        'INSERT INTO scan_ingredients (scan_id, ingredient_id, raw_text, risk) VALUES ($1, $2, $3, $4)',
+        [scanId, ingredientId, ing.name, riskValue]
+      );
+    }
+
+    // Keep a reference to each source image of a multi-image scan
+    for (const image of images) {
+      await client.query(
+        'INSERT INTO scan_images (scan_id, position, image_path, image_hash, ocr_text, ocr_engine) VALUES ($1, $2, $3, $4, $5, $6)',
+        [scanId, image.position, image.imagePath, image.imageHash, image.ocrText, image.ocrEngine]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { scanId, saved: true, saveError: null };
+  } catch (dbError) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    // Robust logging for DB save failures
+    const errorMsg = dbError.message || 'Unknown error';
+    const errorCode = dbError.code || 'UNKNOWN_CODE';
+    const errorDetail = dbError.detail || '';
+    console.warn(`DB save failed: ${errorMsg}, code: ${errorCode}, detail: ${errorDetail}`);
+    return { scanId: null, saved: false, saveError: `${errorMsg}${errorDetail ? ' - ' + errorDetail : ''}` };
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Perform full analysis: dataset + AI for unmatched ingredients
+ * Returns ingredients in the SAME order as parsed tokens, each with the aliases,
+ * concentration and "may contain" flag read from the label and any OCR correction
+ * @param {string} text - Ingredient text to analyze
+ * @param {Object} options
+ * @param {boolean} [options.fromOcr] - The text was read by OCR: misread names get a
+ *   corrected alias (see ocrCorrection.service). Not for text a user typed.
+ * @param {Object[]} [options.ocrLines] - OCR lines; when given, each ingredient gets the
+ *   boxes and lowest confidence of the words it was read from
+ * @param {number} [options.deadline] - Epoch ms by which AI classification must finish
+ *   (default SCAN_DEADLINE_MS from now); unfinished ingredients are marked pending
+ * @param {Function} [options.onStage] - Called with "dataset" and "ai" as those steps start
+ * @param {Function} [options.onTokens] - Called with the parsed ingredients ({ position, name,
+ *   aliases, concentration, conditional, correction }) before any are classified
+ * @param {Function} [options.onIngredients] - Called with ("dataset", ingredients) once dataset
+ *   matching is done, ("model", ingredients) when our classifier answers, then
+ *   ("ai", ingredients, { cached }) for cached LLM classifications and for each LLM batch as
+ *   it finishes. Ingredients have their final shape plus a position.
+ * @returns {Promise<Object>} - Analysis result with all ingredients classified, the
+ *   modelVersion of our classifier when it ran, the datasetVersion matched against,
+ *   and degradedServices ("model", "ai") listing classifiers that were down
+ */
+async function performFullAnalysis(text, options = {}) {
+  const onStage = options.onStage || (() => {});
+  const onTokens = options.onTokens || (() => {});
+  const onIngredients = options.onIngredients || (() => {});
+  // Step 1: Parse ingredients into entries (preserves order)
+  const entries = tokenizeIngredients(text);
+  
+  if (entries.length === 0) {
+    return createEmptyAnalysisResult();
+  }
+
+  // Step 1b: Suggest repairs for OCR misreads against the known vocabulary
+  if (options.fromOcr) {
+    try {
+      await correctIngredientEntries(entries);
+    } catch (correctionError) {
+      console.warn(`OCR correction failed: ${correctionError.message}`);
+    }
+  }
+
+  const tokens = entries.map(entry => entry.name);
+  // Look up aliases too, so "Aqua (Water)" matches a dataset row for either name
+  const lookupTerms = [...new Set(entries.flatMap(lookupNames))];
+
+  // What the label says about each ingredient, plus where it was read when OCR boxes are known
+  const locations = options.ocrLines
+    ? locateTokens(entries.map(entry => entry.raw), options.ocrLines)
+    : null;
+  const labelInfos = entries.map((entry, index) => ({
+    aliases: entry.aliases,
+    concentration: entry.concentration,
+    conditional: entry.conditional,
+    correction: entry.correction || null,
+    ...(locations ? locations[index] : {})
+  }));
+
+  await onTokens(entries.map((entry, position) => ({
+    position,
+    name: entry.name,
+    aliases: entry.aliases,
+    concentration: entry.concentration,
+    conditional: entry.conditional,
+    correction: entry.correction || null
+  })));
+
+  // Step 2: Try dataset analysis to get known and unknown
+  await onStage('dataset');
+  let knownResults = [];
+  let unknownNames = [];
+  let datasetAvailable = false;
+  let datasetVersion = null;
+  
+  try {
+    datasetAvailable = await isDatasetAvailable();
+    if (datasetAvailable) {
+      // The version is only recorded on the scan; matching goes ahead without it
+      datasetVersion = await datasetVersionRepository.getCurrentId().catch((error) => {
+        console.warn('Dataset version lookup failed:', error.message);
+        return null;
+      });
+      const result = await matchIngredientsWithDataset(lookupTerms);
+      knownResults = result.knownResults || [];
+      // Only ingredients with no match under any of their names go to AI
+      unknownNames = entries
+        .filter(entry => !findDatasetMatch(entry, knownResults))
+        .map(entry => entry.name);
+    } else {
+      // Dataset not available - all are unknown
+      unknownNames = [...tokens];
+    }
+  } catch (datasetError) {
+    console.warn(`Dataset match failed: ${datasetError.message}`);
+    // If dataset fails, treat all as unknown
+    unknownNames = [...tokens];
+  }
+
+  const datasetIngredients = [];
+  for (const [position, entry] of entries.entries()) {
+    const datasetMatch = findDatasetMatch(entry, knownResults);
+    if (datasetMatch) {
+      datasetIngredients.push({ position, ...toDatasetIngredient(datasetMatch, labelInfos[position]) });
+    }
+  }
+  await onIngredients('dataset', datasetIngredients);
+
+  // Position and final shape of AI classifications, for progress callbacks
+  const toAIIngredients = (results) => results.flatMap(aiResult => {
+    const position = tokens.findIndex(token => normalizeName(token) === normalizeName(aiResult.name));
+    return position === -1
+      ? []
+      : [{ position, ...toAIIngredient({ ...aiResult, name: tokens[position] }, labelInfos[position]) }];
+  });
+
+  // Step 3: Classify unknown ingredients with our model and/or the LLM (see AI_CLASSIFIER)
+  await onStage('ai');
+  const classifierMode = getClassifierMode();
+  const degradedServices = [];
+
+  // Step 3a: Our own classifier (AI_SERVICE_URL)
+  let modelResults = [];
+  let modelVersion = null;
+
+  if (unknownNames.length > 0 && classifierMode !== 'llm' && isModelServiceConfigured()) {
+    try {
+      ({ results: modelResults, modelVersion } = await classifyWithModel(unknownNames));
+      await onIngredients('model', modelResults.map(modelResult => {
+        const position = tokens.indexOf(modelResult.name);
+        return { position, ...toModelIngredient(modelResult, modelVersion, labelInfos[position]) };
+      }));
+    } catch (modelError) {
+      console.warn(`Model classification failed: ${modelError.message}`);
+      // Don't crash - those ingredients go on to the LLM (or end up Unknown)
+      degradedServices.push('model');
+    }
+    // The model service's circuit breaker opened (or stayed open)
+    if (!isModelServiceAvailable() && !degradedServices.includes('model')) {
+      degradedServices.push('model');
+    }
+  }
+
+  // Step 3b: The LLM, for whatever the model didn't classify.
+  // Previously classified ingredients come from the persistent cache; only the
+  // rest go to the provider, via explainIngredientsBatched for deduplication and batching
+  const llmNames = classifierMode === 'model'
+    ? []
+    : unknownNames.filter(name => !modelResults.some(modelResult => modelResult.name === name));
+  let aiResults = [];
+  let uncachedNames = llmNames;
+  const pendingNames = new Set();
+  const minConfidence = getMinConfidence();
+
+  if (llmNames.length > 0) {
+    const cached = await getCachedClassifications(llmNames);
+    uncachedNames = [];
+    for (const name of llmNames) {
+      const hit = cached.get(normalizeName(name));
+      if (hit) {
+        aiResults.push(toAIResult(name, hit, minConfidence));
+      } else {
+        uncachedNames.push(name);
+      }
+    }
+    if (aiResults.length > 0) {
+      await onIngredients('ai', toAIIngredients(aiResults), { cached: true });
+    }
+  }
+  
+  let aiDegraded = false;
+  if (uncachedNames.length > 0 && isProviderConfigured()) {
+    try {
+      // Use the batched function which handles deduplication and batching automatically
+      const aiResponse = await explainIngredientsBatched(uncachedNames, MAX_AI_INGREDIENTS, {
+        deadline: options.deadline ?? Date.now() + SCAN_DEADLINE_MS,
+        onBatch: (batchResults) => onIngredients(
+          'ai',
+          toAIIngredients(batchResults.map(aiResult => toAIResult(aiResult.name, aiResult, minConfidence))),
+          { cached: false }
+        )
+      });
+      
+      if (aiResponse && Array.isArray(aiResponse)) {
+        await storeClassifications(aiResponse);
+        aiResponse
+          .filter(aiResult => aiResult.pending)
+          .forEach(aiResult => pendingNames.add(aiResult.name.toLowerCase().trim()));
+        // A failed batch leaves its ingredients unclassified even while the breaker stays closed
+        if (aiResponse.some(aiResult => aiResult.failed)) {
+          aiDegraded = true;
+        }
+        // Placeholders (missing) stay unclassified and end up as Unknown below
+        aiResults.push(...aiResponse
+          .filter(aiResult => !aiResult.missing)
+          .map(aiResult => toAIResult(aiResult.name, aiResult, minConfidence)));
+      }
+    } catch (aiError) {
+      console.warn(`AI classification failed: ${aiError.message}`);
+      // Don't crash - those ingredients will be marked as Unknown
+      aiDegraded = true;
+    }
+    // The provider's circuit breaker opened (or stayed open): classifications are missing
+    if (!isProviderAvailable()) {
+      aiDegraded = true;
+    }
+  }
+  if (aiDegraded) {
+    degradedServices.push('ai');
+  }
+
+  // Step 4: Build final ingredients array in SAME order as tokens
+  const finalIngredients = [];
+  
+  for (const [index, entry] of entries.entries()) {
+    const token = entry.name;
+    const labelInfo = labelInfos[index];
+    
+    // Check if this ingredient was matched in dataset - strict matching only
+    const datasetMatch = findDatasetMatch(entry, knownResults);
+    
+    if (datasetMatch) {
+      finalIngredients.push(toDatasetIngredient(datasetMatch, labelInfo));
+      continue;
+    }
+
+    // Check if our model classified it
+    const modelMatch = modelResults.find(modelResult => modelResult.name === token);
+
+    if (modelMatch) {
+      finalIngredients.push(toModelIngredient(modelMatch, modelVersion, labelInfo));
+      continue;
+    }
+    
+    // Check if this token was classified by AI - normalized comparison
+    const aiMatch = aiResults.find(a =>
+      a.name.toLowerCase().trim() === token
+    );
+    
+    if (aiMatch) {
+      finalIngredients.push(toAIIngredient(aiMatch, labelInfo));
+      continue;
+    }
+    
+    // Not found anywhere - mark as Unknown (pending when AI ran out of time)
+    const pending = pendingNames.has(token);
+    finalIngredients.push({
+      name: token,
+      status: 'Unknown',
+      reason: pending
+        ? 'AI classification did not finish before the scan deadline'
+        : 'Not found in dataset and AI classification unavailable or failed',
+      source: 'unknown',
+      classifiedBy: null,
+      confidence: null,
+      suggestedStatus: null,
+      pending,
+      matchType: null,
+      similarity: null,
+      ...labelInfo
+    });
+  }
+
+  // Step 5: Calculate summary counts
+  const summary = {
+    safeCount: finalIngredients.filter(ing => ing.status === 'Safe').length,
+    riskyCount: finalIngredients.filter(ing => ing.status === 'Risky').length,
+    restrictedCount: finalIngredients.filter(ing => ing.status === 'Restricted').length,
+    unknownCount: finalIngredients.filter(ing => ing.status === 'Unknown').length,
+    needsReviewCount: finalIngredients.filter(ing => ing.status === 'NeedsReview').length,
+    pendingCount: finalIngredients.filter(ing => ing.pending).length
+  };
+
+  // Step 6: Determine overall risk level (highest severity)
+  // Low-confidence AI verdicts (NeedsReview) can only raise the risk: a tentative
+  // Restricted still counts as HIGH, any other tentative verdict as MEDIUM like Unknown
+  let risk_level = 'LOW';
+  if (finalIngredients.some(ing => ing.status === 'Restricted' ||
+    (ing.status === 'NeedsReview' && ing.suggestedStatus === 'Restricted'))) {
+    risk_level = 'HIGH';
+  } else if (finalIngredients.some(ing => ing.status === 'Risky')) {
+    risk_level = 'MEDIUM';
+  } else if (finalIngredients.some(ing => ing.status === 'Unknown' || ing.status === 'NeedsReview')) {
+    risk_level = 'MEDIUM'; // Unknowns and unconfirmed verdicts are treated as potentially risky
+  }
+
+  // Step 7: Determine source - the classifiers that contributed, e.g. "dataset+model+ai"
+  const sources = [];
+  if (datasetAvailable && knownResults.length > 0) sources.push('dataset');
+  if (modelResults.length > 0) sources.push('model');
+  if (aiResults.length > 0) sources.push('ai');
+  const source = sources.length > 0 ? sources.join('+') : 'rules';
+
+  return {
+    risk_level,
+    overallRisk: risk_level,
+    ingredients: finalIngredients,
+    summary,
+    source,
+    modelVersion,
+    datasetVersion,
+    degradedServices
+  };
+}
+
+/**
+ * Result ingredient for a dataset match
+ */
+function toDatasetIngredient(datasetMatch, labelInfo) {
+  return {
+    name: datasetMatch.name,
+    status: datasetMatch.status,
+    reason: datasetMatch.reason,
+    source: 'dataset',
+    classifiedBy: 'dataset',
+    confidence: null,
+    suggestedStatus: null,
+    pending: false,
+    matchType: datasetMatch.matchType,
+    similarity: datasetMatch.similarity,
+    ...labelInfo
+  };
+}
+
+/**
+ * Result ingredient for an AI classification (see toAIResult)
+ */
+function toAIIngredient(aiMatch, labelInfo) {
+  return {
+    name: aiMatch.name,
+    status: aiMatch.status,
+    reason: aiMatch.reason,
+    source: 'ai',
+    classifiedBy: aiMatch.classifiedBy,
+    confidence: aiMatch.confidence,
+    suggestedStatus: aiMatch.suggestedStatus,
+    pending: false,
+    matchType: null,
+    similarity: null,
+    ...labelInfo
+  };
+}
+
+/**
+ * Result ingredient for a prediction of our model (see classifyWithModel)
+ */
+function toModelIngredient(modelResult, modelVersion, labelInfo) {
+  return {
+    name: modelResult.name,
+    status: modelResult.status,
+    reason: modelResult.reason,
+    source: 'model',
+    classifiedBy: modelVersion ? `model:${modelVersion}` : 'model',
+    confidence: null,
+    suggestedStatus: null,
+    pending: false,
+    matchType: null,
+    similarity: null,
+    ...labelInfo
+  };
+}
+
+/**
+ * Classify ingredients with our model service (AI_SERVICE_URL /predict)
+ * Predictions are matched back to the names sent; ones for other names are dropped.
+ * @param {string[]} names - Ingredient names (as tokenized)
+ * @returns {Promise<{results: Array<{name: string, status: string, reason: string}>,
+ *   modelVersion: string|null}>}
+ */
+async function classifyWithModel(names) {
+  const prediction = convertAIRuleToFormat(await analyzeWithAI(names.join(', ')));
+
+  const results = [];
+  for (const result of prediction.results) {
+    const name = names.find(candidate => normalizeName(candidate) === normalizeName(result.ingredient));
+    if (name && !results.some(existing => existing.name === name)) {
+      results.push({ name, status: result.status, reason: result.explanation });
+    }
+  }
+
+  return { results, modelVersion: prediction.model_version || null };
+}
+
+/**
+ * Names to look a tokenized ingredient up by, in order of preference: as read,
+ * its aliases, then its OCR correction
+ */
+function lookupNames(entry) {
+  const names = [entry.name, ...entry.aliases];
+  if (entry.correction && !names.includes(entry.correction.corrected)) {
+    names.push(entry.correction.corrected);
+  }
+  return names;
+}
+
+/**
+ * Find the dataset result for a tokenized ingredient. Match tiers are compared
+ * across all its lookupNames: an exact or alias match under any name beats a
+ * fuzzy one, so a trigram near-miss on the name as read never hides an exact
+ * alias or OCR-correction match. Within a tier, the earlier name wins.
+ */
+function findDatasetMatch(entry, knownResults) {
+  const names = lookupNames(entry);
+  const matches = names
+    .map(name => knownResults.find(k => String(k.input).toLowerCase().trim() === name))
+    .filter(Boolean);
+  // Another token already claimed the row this entry names exactly
+  const canonical = knownResults.find(k => names.includes(k.name.toLowerCase().trim()));
+
+  return matches.find(match => match.matchType !== 'fuzzy') || canonical || matches[0];
+}
+
+/**
+ * Create empty analysis result when no ingredients found
+ */
+function createEmptyAnalysisResult() {
+  return {
+    risk_level: 'LOW',
+    overallRisk: 'LOW',
+    ingredients: [],
+    summary: {
+      safeCount: 0,
+      riskyCount: 0,
+      restrictedCount: 0,
+      unknownCount: 0,
+      needsReviewCount: 0,
+      pendingCount: 0
+    },
+    source: 'rules',
+    modelVersion: null,
+    datasetVersion: null,
+    degradedServices: []
+  };
+}
+
+/**
+ * Map status to database risk value
+ */
+function mapStatusToDbValue(status) {
+  switch (status) {
+    case 'Safe':
+      return 'safe';
+    case 'Risky':
+      return 'risky';
+    case 'Restricted':
+      return 'restricted';
+    case 'NeedsReview':
+      return 'needs_review';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Map AI status to standard status (Safe|Risky|Restricted|Unknown)
+ */
+function mapAIStatusToStatus(status) {
+  if (!status) return 'Unknown';
+  
+  const normalized = String(status).toLowerCase().trim();
+  
+  if (normalized === 'safe') return 'Safe';
+  if (normalized === 'risky') return 'Risky';
+  if (normalized === 'restricted') return 'Restricted';
+  
+  return 'Unknown';
+}
+
+/**
+ * Build the analysis entry for an AI classification (fresh or cached).
+ * Verdicts below the confidence threshold become NeedsReview, keeping the
+ * AI's verdict as suggestedStatus.
+ * @param {string} name - Ingredient name as looked up
+ * @param {Object} classification - { status, explanation, confidence, classifiedBy }
+ * @param {number} minConfidence - From getMinConfidence
+ */
+function toAIResult(name, classification, minConfidence) {
+  const status = mapAIStatusToStatus(classification.status);
+  const confidence = typeof classification.confidence === 'number' ? classification.confidence : null;
+  const needsReview = status !== 'Unknown' && (confidence === null || confidence < minConfidence);
+
+  return {
+    name,
+    status: needsReview ? 'NeedsReview' : status,
+    suggestedStatus: needsReview ? status : null,
+    reason: classification.explanation || '',
+    source: 'ai',
+    confidence,
+    classifiedBy: classification.classifiedBy || null
+  };
+}
+
+/**
+ * Convert AI result format to rule-based format for unified response
+ */
+function convertAIRuleToFormat(aiResult) {
+  const matchedIngredients = aiResult.matched_ingredients.map((ing) => ({
+    name: ing.name,
+    risk_level: ing.risk === 'HIGH' ? 'HIGH' : ing.risk === 'LOW' ? 'LOW' : 'MEDIUM',
+    reason: ing.reason || ''
+  }));
+
+  const summary = {
+    safeCount: matchedIngredients.filter(m => m.risk_level === 'LOW').length,
+    riskyCount: matchedIngredients.filter(m => m.risk_level === 'MEDIUM').length,
+    restrictedCount: matchedIngredients.filter(m => m.risk_level === 'HIGH').length
+  };
+
+  let risk_level = 'LOW';
+  if (matchedIngredients.some(m => m.risk_level === 'HIGH')) {
+    risk_level = 'HIGH';
+  } else if (matchedIngredients.some(m => m.risk_level === 'MEDIUM')) {
+    risk_level = 'MEDIUM';
+  }
+
+  const results = aiResult.matched_ingredients.map((ing) => ({
+    ingredient: ing.name,
+    status: ing.risk === 'HIGH' ? 'Restricted' : ing.risk === 'LOW' ? 'Safe' : 'Risky',
+    explanation: ing.reason || '',
+    matchedKey: String(ing.name || '').toLowerCase(),
+  }));
+
+  return {
+    ingredients: aiResult.matched_ingredients.map((ing) => ing.name),
+    results,
+    summary,
+    risk_level,
+    matched_ingredients: matchedIngredients,
+    explanations: aiResult.explanations || [],
+    recommendations: aiResult.recommendations,
+    model_version: aiResult.model_version,
+  };
+}
+
+module.exports = {
+  runImageScan,
+  runMultiImageScan,
+  runTextScan,
+  performFullAnalysis,
+  ScanError,
+  SCAN_DEADLINE_MS,
+};
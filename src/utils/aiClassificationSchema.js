@@ -0,0 +1,61 @@
+const Joi = require('joi');
+
+/**
+ * Output contract for AI ingredient classifications.
+ *
+ * CLASSIFICATION_JSON_SCHEMA is sent to providers that support structured
+ * output (OpenAI json_schema, Anthropic tool input, Ollama format, llama.cpp
+ * json_schema). It sticks to the keywords OpenAI's strict mode accepts, so
+ * length limits live in the Joi item schema, which every returned item is
+ * validated against whether or not the provider enforced the JSON schema.
+ */
+
+const CLASSIFICATION_STATUSES = ['Safe', 'Risky', 'Restricted'];
+
+const CLASSIFICATION_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    classifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Ingredient name exactly as given in the input list' },
+          status: { type: 'string', enum: CLASSIFICATION_STATUSES },
+          explanation: { type: 'string', description: 'Brief 1-2 sentence explanation' },
+          confidence: { type: 'number', description: 'How sure the classification is, from 0 (guess) to 1 (certain)' },
+        },
+        required: ['name', 'status', 'explanation', 'confidence'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['classifications'],
+  additionalProperties: false,
+};
+
+const classificationItemSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  status: Joi.string().valid(...CLASSIFICATION_STATUSES).required(),
+  explanation: Joi.string().trim().min(1).max(1000).required(),
+  confidence: Joi.number().min(0).max(1).required(),
+}).unknown(true);
+
+/**
+ * Validate one classification item
+ * @param {*} item - Item as returned by the provider (after status normalization)
+ * @returns {{value: Object|null, error: string|null}} - Validated item (trimmed) or the reason it failed
+ */
+function validateClassification(item) {
+  const { error, value } = classificationItemSchema.validate(item);
+  if (error) {
+    return { value: null, error: error.details.map(d => d.message).join('; ') };
+  }
+  return { value, error: null };
+}
+
+module.exports = {
+  CLASSIFICATION_STATUSES,
+  CLASSIFICATION_JSON_SCHEMA,
+  validateClassification,
+};
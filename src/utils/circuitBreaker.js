@@ -0,0 +1,175 @@
+/**
+ * Circuit breakers for external dependencies (OCR engines, AI providers).
+ *
+ * A breaker counts consecutive failures of the calls it wraps. After
+ * failureThreshold of them it opens: calls fail immediately with a
+ * CircuitOpenError instead of waiting for the dependency to time out. Once
+ * resetTimeoutMs has passed, one call is let through as a probe (half-open);
+ * success closes the breaker, failure opens it again.
+ *
+ * Only errors that isFailure accepts count (by default every error) - errors
+ * that show the dependency did answer, such as a bad request, count as success.
+ *
+ * Env:
+ * - CIRCUIT_BREAKER_FAILURE_THRESHOLD: consecutive failures that open a breaker (default 5)
+ * - CIRCUIT_BREAKER_RESET_MS: how long a breaker stays open before probing (default 30000)
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is temporarily unavailable (circuit open)`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.breaker = name;
+    this.retryAt = retryAt;
+  }
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Dependency name, e.g. "ocr:ocrspace"
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold]
+   * @param {number} [options.resetTimeoutMs]
+   * @param {Function} [options.isFailure] - (error) => whether the error counts as a failure
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ||
+      readPositiveInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeoutMs = options.resetTimeoutMs ||
+      readPositiveInt(process.env.CIRCUIT_BREAKER_RESET_MS, DEFAULT_RESET_TIMEOUT_MS);
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - Async call to the dependency
+   * @returns {Promise<*>} - fn's result
+   * @throws {CircuitOpenError} - While open (or while a half-open probe is in flight)
+   */
+  async exec(fn) {
+    this.beforeCall();
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+
+  beforeCall() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() < this.openedAt + this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.name, new Date(this.openedAt + this.resetTimeoutMs));
+      }
+      this.state = STATES.HALF_OPEN;
+      console.log(`[CircuitBreaker] ${this.name} half-open, probing`);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.probing) {
+        throw new CircuitOpenError(this.name, null);
+      }
+      this.probing = true;
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`[CircuitBreaker] ${this.name} closed`);
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  onFailure(error) {
+    this.failures++;
+    this.lastError = error.code || error.message;
+    this.lastFailureAt = new Date();
+    this.probing = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        console.warn(`[CircuitBreaker] ${this.name} open after ${this.failures} failure(s): ${this.lastError}`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Whether calls currently go through (closed, or open long enough to probe)
+   */
+  isAvailable() {
+    return this.state !== STATES.OPEN || Date.now() >= this.openedAt + this.resetTimeoutMs;
+  }
+
+  /**
+   * Snapshot for health reporting
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs) : null,
+    };
+  }
+}
+
+// One breaker per dependency name, shared by every caller in the process
+const breakers = new Map();
+
+/**
+ * Get (creating on first use) the breaker for a dependency
+ * @param {string} name
+ * @param {Object} [options] - Constructor options, used when the breaker is created
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name, options) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker,
+  STATES,
+};
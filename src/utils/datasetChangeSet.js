@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Dataset change sets: what a sync or import would do to dataset_rows.
+ *
+ * A change set is computed from the projected source rows and the current
+ * dataset. Its id hashes the changes together with the dataset version they
+ * were computed against, so an apply call carrying the id of a preview can
+ * tell whether it is about to write exactly what was previewed.
+ */
+
+function aliasKey(aliases) {
+  return (aliases || [])
+    .map(a => `${String(a.alias).toLowerCase()}|${a.type}`)
+    .sort()
+    .join(',');
+}
+
+/**
+ * Compare validated source rows with the current dataset
+ * @param {Object[]} rows - From validateDatasetRows (utils/datasetSchema): { line, ingredient }
+ *   for valid rows, { line, ingredientName, error } for rejected ones
+ * @param {Map<string, Object>} current - ingredient_name -> { riskLevel, reason, aliases }
+ * @returns {Object} - { added, riskChanged, reasonChanged, aliasesChanged, unchanged, skipped, errors };
+ *   unchanged is a count, the rest are lists keyed by source line. errors are the rejected
+ *   rows; skipped is left empty for the caller's rows that need no applying (e.g. repeats).
+ */
+function buildChangeSet(rows, current) {
+  const changes = {
+    added: [],
+    riskChanged: [],
+    reasonChanged: [],
+    aliasesChanged: [],
+    unchanged: 0,
+    skipped: [],
+    errors: [],
+  };
+
+  for (const { line, ingredient, ingredientName = null, error } of rows) {
+    if (!ingredient) {
+      changes.errors.push({ line, ingredientName, error });
+      continue;
+    }
+
+    const existing = current.get(ingredient.name);
+    if (!existing) {
+      changes.added.push({
+        line,
+        ingredientName: ingredient.name,
+        riskLevel: ingredient.riskLevel,
+        reason: ingredient.reason,
+        aliases: ingredient.aliases,
+      });
+      continue;
+    }
+
+    let changed = false;
+    if (existing.riskLevel !== ingredient.riskLevel) {
+      changes.riskChanged.push({ line, ingredientName: ingredient.name, from: existing.riskLevel, to: ingredient.riskLevel });
+      changed = true;
+    }
+    if ((existing.reason || '') !== ingredient.reason) {
+      changes.reasonChanged.push({ line, ingredientName: ingredient.name, from: existing.reason, to: ingredient.reason });
+      changed = true;
+    }
+    if (aliasKey(existing.aliases) !== aliasKey(ingredient.aliases)) {
+      changes.aliasesChanged.push({ line, ingredientName: ingredient.name, from: existing.aliases, to: ingredient.aliases });
+      changed = true;
+    }
+    if (!changed) changes.unchanged++;
+  }
+
+  return changes;
+}
+
+/**
+ * Names of the ingredients a change set writes
+ * @param {Object} changes - From buildChangeSet
+ * @returns {Set<string>}
+ */
+function changedIngredientNames(changes) {
+  return new Set([
+    ...changes.added,
+    ...changes.riskChanged,
+    ...changes.reasonChanged,
+    ...changes.aliasesChanged,
+  ].map(change => change.ingredientName));
+}
+
+/**
+ * Identify a change set computed against a dataset version
+ * @param {number|null} baseVersion - Dataset version the changes were computed against
+ * @param {Object} changes - From buildChangeSet
+ * @returns {string}
+ */
+function changeSetId(baseVersion, changes) {
+  return crypto.createHash('sha256').update(JSON.stringify({ baseVersion, changes })).digest('hex');
+}
+
+module.exports = {
+  buildChangeSet,
+  changedIngredientNames,
+  changeSetId,
+};
@@ -0,0 +1,181 @@
+const Joi = require('joi');
+const { ALIAS_TYPES, parseAliases } = require('./ingredientAliases');
+
+/**
+ * Declared shape of a dataset source row (a Google Sheet row or an
+ * import_dataset.js CSV/JSON row), keyed by normalized column name.
+ *
+ * Columns:
+ * - ingredient_name: required, unique within the source (case-insensitive)
+ * - risk_level:      required, LOW, MEDIUM or HIGH, or the ingredients.json
+ *                    statuses Safe, Risky, Restricted (case-insensitive)
+ * - reason:          required, non-empty
+ * - aliases:         optional, comma-separated string or array (see parseAliases);
+ *                    an alias may not name another ingredient, in the source or
+ *                    the current dataset, nor belong to one in the current dataset
+ *
+ * Other columns are ignored. Rows that break a rule are rejected on their own;
+ * the rest of the source is still applied.
+ */
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const STATUS_RISK_LEVELS = { SAFE: 'LOW', RISKY: 'MEDIUM', RESTRICTED: 'HIGH' };
+
+const REQUIRED_COLUMNS = ['ingredient_name', 'risk_level', 'reason'];
+
+const datasetRowSchema = Joi.object({
+  ingredient_name: Joi.string().trim().max(200).required()
+    .messages({
+      'any.required': 'ingredient_name is required',
+      'string.empty': 'ingredient_name is required',
+      'string.base': 'ingredient_name must be text',
+      'string.max': 'ingredient_name must be at most 200 characters',
+    }),
+  risk_level: Joi.string().trim().uppercase().valid(...RISK_LEVELS, ...Object.keys(STATUS_RISK_LEVELS)).required()
+    .messages({
+      'any.required': 'risk_level is required',
+      'string.empty': 'risk_level is required',
+      'string.base': 'risk_level must be text',
+      'any.only': 'risk_level "{#value}" must be LOW, MEDIUM or HIGH (or Safe, Risky, Restricted)',
+    }),
+  reason: Joi.string().trim().max(2000).required()
+    .messages({
+      'any.required': 'reason is required',
+      'string.empty': 'reason is required',
+      'string.base': 'reason must be text',
+      'string.max': 'reason must be at most 2000 characters',
+    }),
+  aliases: Joi.alternatives().try(
+    Joi.string().allow(''),
+    Joi.array().items(
+      Joi.string().allow(''),
+      Joi.object({
+        alias: Joi.string().trim().required(),
+        type: Joi.string().valid(...ALIAS_TYPES).insensitive().allow('', null),
+      })
+    )
+  ).allow(null)
+    .messages({
+      'alternatives.match': `aliases must be a comma-separated string or a list of aliases or alias objects with a type (one of ${ALIAS_TYPES.join(', ')})`,
+    }),
+}).unknown(true);
+
+/**
+ * Required columns a source's header row is missing
+ * @param {string[]} columns - Normalized column names
+ * @returns {string[]}
+ */
+function missingColumns(columns) {
+  return REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+}
+
+/**
+ * Check one row against the schema
+ * @param {Object} data - Row keyed by normalized column name
+ * @returns {{ingredient: Object|null, error: string|null}} - ingredient: { name, riskLevel, reason, aliases }
+ */
+function validateDatasetRow(data) {
+  const { error, value } = datasetRowSchema.validate(data, { abortEarly: false });
+  if (error) {
+    return { ingredient: null, error: error.details.map(d => d.message).join('; ') };
+  }
+
+  return {
+    ingredient: {
+      name: value.ingredient_name,
+      riskLevel: STATUS_RISK_LEVELS[value.risk_level] || value.risk_level,
+      reason: value.reason,
+      aliases: parseAliases(value.aliases),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Names and aliases the current dataset already gives out, lowercased -> owning
+ * ingredient name. Aliases of ingredients the source lists are left out: applying
+ * the source replaces those ingredients' aliases.
+ */
+function currentClaims(current, sourceNames) {
+  const names = new Map();
+  const aliases = new Map();
+  for (const [name, { aliases: ingredientAliases }] of current) {
+    names.set(name.toLowerCase(), name);
+    if (sourceNames.has(name.toLowerCase())) continue;
+    for (const { alias } of ingredientAliases || []) {
+      aliases.set(String(alias).toLowerCase(), name);
+    }
+  }
+  return { names, aliases };
+}
+
+/**
+ * Check every row of a source: each against the schema, then against the rows
+ * before it for duplicate names and aliases claimed by two ingredients, and
+ * against the current dataset for names and aliases another ingredient already has
+ * @param {Object[]} rows - In source order: { line, data }
+ * @param {Map<string, Object>} [current] - Current dataset, ingredient_name -> { aliases }
+ *   (rows from dataset.repository loadCurrent)
+ * @returns {Object[]} - Per row: { line, ingredient, error: null } or
+ *   { line, ingredientName, ingredient: null, error } for rejected rows
+ */
+function validateDatasetRows(rows, current = new Map()) {
+  const checked = rows.map(({ line, data }) => ({ line, data, ...validateDatasetRow(data) }));
+  const existing = currentClaims(current, new Set(
+    checked.filter(row => row.ingredient).map(row => row.ingredient.name.toLowerCase())
+  ));
+
+  // Lowercased ingredient name or alias -> { name, line } of the row that claimed it
+  const names = new Map();
+  const aliases = new Map();
+
+  return checked.map(({ line, data, ingredient, error }) => {
+    if (!ingredient) {
+      const ingredientName = typeof data.ingredient_name === 'string' ? data.ingredient_name.trim() || null : null;
+      return { line, ingredientName, ingredient: null, error };
+    }
+
+    const reject = message => ({ line, ingredientName: ingredient.name, ingredient: null, error: message });
+    const key = ingredient.name.toLowerCase();
+
+    if (names.has(key)) {
+      return reject(`Duplicate ingredient_name "${ingredient.name}", already on line ${names.get(key).line}`);
+    }
+    if (aliases.has(key)) {
+      const owner = aliases.get(key);
+      return reject(`ingredient_name "${ingredient.name}" is already an alias of "${owner.name}" (line ${owner.line})`);
+    }
+    if (existing.aliases.has(key)) {
+      return reject(`ingredient_name "${ingredient.name}" is already an alias of "${existing.aliases.get(key)}" in the dataset`);
+    }
+    for (const { alias } of ingredient.aliases) {
+      const aliasKey = alias.toLowerCase();
+      const owner = names.get(aliasKey) || aliases.get(aliasKey);
+      if (owner) {
+        return reject(`Alias "${alias}" already belongs to "${owner.name}" (line ${owner.line})`);
+      }
+      const existingName = existing.names.get(aliasKey);
+      if (existingName && aliasKey !== key) {
+        return reject(`Alias "${alias}" is the name of ingredient "${existingName}" in the dataset`);
+      }
+      const existingOwner = existing.aliases.get(aliasKey);
+      if (existingOwner && existingOwner.toLowerCase() !== key) {
+        return reject(`Alias "${alias}" already belongs to "${existingOwner}" in the dataset`);
+      }
+    }
+
+    names.set(key, { name: ingredient.name, line });
+    for (const { alias } of ingredient.aliases) {
+      aliases.set(alias.toLowerCase(), { name: ingredient.name, line });
+    }
+    return { line, ingredient, error: null };
+  });
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  datasetRowSchema,
+  missingColumns,
+  validateDatasetRow,
+  validateDatasetRows,
+};
@@ -0,0 +1,61 @@
+const { LANGUAGES, DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('./labelLanguages');
+
+// Section headings are a much stronger signal than everyday words
+const MARKER_WEIGHT = 3;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Count whole-word/phrase occurrences of `phrase` in already-lowercased text
+function countPhrase(text, phrase) {
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`, 'gu');
+  return (text.match(re) || []).length;
+}
+
+/**
+ * Guess the language of label text from its section headings and common words.
+ * INCI ingredient names are the same in every language, so only the words
+ * around them count.
+ *
+ * @param {string} text - OCR or user-edited label text
+ * @returns {{language: string, confidence: number}} - Best guess (DEFAULT_LANGUAGE when
+ *   nothing matched) and the share of the matched signal that pointed to it (0-1)
+ */
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  const lowerText = text.toLowerCase();
+  const words = lowerText.split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+
+  const scores = {};
+  for (const code of SUPPORTED_LANGUAGES) {
+    const { startMarkers, stopMarkers, commonWords } = LANGUAGES[code];
+    const common = new Set(commonWords);
+
+    // Trailing ":" variants are only there for extraction
+    const markers = new Set([...startMarkers, ...stopMarkers].map(m => m.replace(/:$/, '')));
+
+    let score = words.filter(word => common.has(word)).length;
+    for (const marker of markers) {
+      score += countPhrase(lowerText, marker) * MARKER_WEIGHT;
+    }
+    scores[code] = score;
+  }
+
+  const total = Object.values(scores).reduce((sum, s) => sum + s, 0);
+  if (total === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  // Ties go to the earlier language in SUPPORTED_LANGUAGES (English first)
+  const best = SUPPORTED_LANGUAGES.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+  return {
+    language: best,
+    confidence: Math.round((scores[best] / total) * 100) / 100,
+  };
+}
+
+module.exports = { detectLanguage };
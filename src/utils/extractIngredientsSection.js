@@ -1,55 +1,49 @@
+const { LANGUAGES, DEFAULT_LANGUAGE, getAllStartMarkers } = require('./labelLanguages');
+const { tokenizeIngredients } = require('./inciTokenizer');
+
+/**
+ * Find the earliest occurrence of any marker at or after `from`
+ * @returns {{index: number, marker: string|null}}
+ */
+function findFirstMarker(lowerText, markers, from = 0) {
+  let index = -1;
+  let marker = null;
+
+  for (const candidate of markers) {
+    const idx = lowerText.indexOf(candidate, from);
+    if (idx !== -1 && (index === -1 || idx < index)) {
+      index = idx;
+      marker = candidate;
+    }
+  }
+
+  return { index, marker };
+}
+
 /**
  * Extract the ingredients section from OCR text.
- * Looks for "ingredients", "ingredient:", or "ingredients:" markers
- * and stops at common product label section markers.
+ * Looks for the language's ingredient heading (e.g. "ingredients:", "ingrédients",
+ * "inhaltsstoffe") and stops at the language's common label section markers.
+ * Falls back to the headings of every supported language, since labels are
+ * often bilingual.
  * 
  * @param {string} ocrText - Full OCR text from label
+ * @param {string} language - Label language code (default "en")
  * @returns {string} - Extracted ingredients text (or full text as fallback)
  */
-function extractIngredientsSection(ocrText) {
+function extractIngredientsSection(ocrText, language = DEFAULT_LANGUAGE) {
   if (!ocrText || typeof ocrText !== 'string') {
     return '';
   }
 
   // Normalize for searching (lowercase)
   const lowerText = ocrText.toLowerCase();
+  const { startMarkers, stopMarkers } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
   
-  // Start markers - any of these indicate the beginning of ingredients
-  const startMarkers = [
-    'ingredients',
-    'ingredient:',
-    'ingredients:'
-  ];
-  
-  // Stop markers - these indicate sections that come after ingredients
-  const stopMarkers = [
-    'refrigerate',
-    'storage',
-    'keep refrigerated',
-    'after opening',
-    'packed for',
-    'distributed by',
-    'manufactured',
-    'net wt',
-    'best by',
-    'expiry',
-    'exp',
-    'warning',
-    'caution',
-    'directions',
-    'how to use'
-  ];
-  
-  // Find the first start marker
-  let startIndex = -1;
-  let foundStartMarker = null;
-  
-  for (const marker of startMarkers) {
-    const idx = lowerText.indexOf(marker);
-    if (idx !== -1 && (startIndex === -1 || idx < startIndex)) {
-      startIndex = idx;
-      foundStartMarker = marker;
-    }
+  // Find the first start marker - the label's own language first, then any language
+  let { index: startIndex, marker: foundStartMarker } = findFirstMarker(lowerText, startMarkers);
+  if (startIndex === -1) {
+    ({ index: startIndex, marker: foundStartMarker } = findFirstMarker(lowerText, getAllStartMarkers()));
   }
   
   // If no ingredients marker found, return full text as fallback
@@ -61,13 +55,7 @@ function extractIngredientsSection(ocrText) {
   const afterStartStart = startIndex + foundStartMarker.length;
   
   // Find the first stop marker AFTER the start position
-  let stopIndex = -1;
-  for (const marker of stopMarkers) {
-    const idx = lowerText.indexOf(marker, afterStartStart);
-    if (idx !== -1 && (stopIndex === -1 || idx < stopIndex)) {
-      stopIndex = idx;
-    }
-  }
+  const { index: stopIndex } = findFirstMarker(lowerText, stopMarkers, afterStartStart);
   
   // Determine end index
   let endIndex;
@@ -87,67 +75,15 @@ function extractIngredientsSection(ocrText) {
 
 /**
  * Parse ingredient text into tokens.
- * Keeps multi-word ingredients intact (e.g., "apple cider vinegar").
+ * Keeps multi-word ingredients intact (e.g., "apple cider vinegar") and
+ * returns only each ingredient's primary name - use tokenizeIngredients for
+ * aliases, concentrations and "may contain" flags.
  * 
  * @param {string} text - Ingredient text
  * @returns {string[]} - Array of ingredient tokens
  */
 function parseIngredientTokens(text) {
-  if (!text || typeof text !== 'string') {
-    return [];
-  }
-
-  // Remove leading "INGREDIENTS:" / "Ingredients:" label
-  let cleaned = text.replace(/^(ingredients|ingredient)s?\s*[:\-–]?\s*/i, '');
-  
-  // Replace newlines with spaces
-  cleaned = cleaned.replace(/[\r\n]+/g, ' ');
-  
-  // Remove trailing punctuation: . ) ( : ; 
-  cleaned = cleaned.replace(/[.():;]+$/g, '');
-  cleaned = cleaned.replace(/^[.():;]+/g, '');
-  
-  // Collapse multiple spaces
-  cleaned = cleaned.replace(/\s+/g, ' ');
-  
-  // Trim
-  cleaned = cleaned.trim();
-  
-  // Split primarily by commas and semicolons
-  const parts = cleaned.split(/[,;]+/g);
-  
-  const tokens = [];
-  const seen = new Set();
-  
-  for (let part of parts) {
-    // Trim whitespace
-    part = part.trim();
-    
-    // Remove any remaining punctuation from edges
-    part = part.replace(/^[.():;"']+/, '');
-    part = part.replace(/[.():;"']+$/, '');
-    
-    // Trim again
-    part = part.trim();
-    
-    // Lowercase
-    part = part.toLowerCase();
-    
-    // Ignore tokens shorter than 2 chars
-    if (part.length < 2) {
-      continue;
-    }
-    
-    // Skip duplicates
-    if (seen.has(part)) {
-      continue;
-    }
-    
-    seen.add(part);
-    tokens.push(part);
-  }
-  
-  return tokens;
+  return tokenizeIngredients(text).map(entry => entry.name);
 }
 
-module.exports = { extractIngredientsSection, parseIngredientTokens };
+module.exports = { extractIngredientsSection, parseIngredientTokens, tokenizeIngredients };
@@ -0,0 +1,332 @@
+const { getAllStartMarkers } = require('./labelLanguages');
+
+/**
+ * INCI-aware ingredient tokenizer.
+ *
+ * Understands the constructs real cosmetic labels use:
+ * - parenthetical synonyms, possibly nested: "Parfum (Fragrance)", "CI 77891 (Titanium Dioxide)"
+ * - compound ingredients: "Chocolate (Sugar, Cocoa Butter, Milk)" - a bracket group
+ *   listing several names is not synonyms: each name gets its own entry, right
+ *   after the compound's
+ * - bilingual pairs: "Aqua (Water) / Eau", "Aqua/Water/Eau"
+ * - concentrations: "Tocopherol (Vitamin E) 0.5%", "Salicylic Acid (2%)"
+ * - "may contain" colour lists: "May contain [+/-: CI 77491, CI 77492]"
+ *
+ * Each ingredient comes back as:
+ *   { name, aliases, concentration, conditional, raw }
+ * where name is the lowercased primary name, aliases the other names it was
+ * given, concentration { value, unit, text } or null, conditional true for
+ * "may contain" entries, and raw the label text it was read from.
+ */
+
+// Leading "INGREDIENTS:" / "Ingrédients :" / "Inhaltsstoffe:" label, in any supported language
+const INGREDIENTS_LABEL_RE = new RegExp(
+  `^(${getAllStartMarkers().map(m => m.replace(/:$/, '')).join('|')})s?\\s*[:\\-–]?\\s*`,
+  'iu'
+);
+
+// "May contain" / "+/-" markers, in the supported label languages
+const MAY_CONTAIN_WORDS = 'may contain|peut contenir|pode conter|puede contener|kann enthalten|kan bevat';
+const MAY_CONTAIN_RE = new RegExp(`^(${MAY_CONTAIN_WORDS}|\\+\\s*\\/\\s*-)\\s*[:\\-–]?\\s*`, 'i');
+// Where a "may contain" list starts mid-segment ("Limonene. May contain ...", "Limonene +/- CI 77491"),
+// skipping the "+/-" that directly follows "may contain" or an opening bracket
+const MAY_CONTAIN_BOUNDARY_RE = new RegExp(
+  `[\\s.,;]*(?=\\b(?:${MAY_CONTAIN_WORDS})\\b)` +
+  `|[\\s.,;]*(?<!(?:${MAY_CONTAIN_WORDS})\\s*[:\\-–]?\\s*)(?<![[(]\\s*)(?=[[(]?\\s*\\+\\s*\\/\\s*-)`,
+  'gi'
+);
+
+const CONCENTRATION_RE = /([<>≤≥]\s*)?(\d+(?:[.,]\d+)?)\s*%/;
+
+// Parenthetical qualifiers that are not alternative names
+const NON_ALIAS_GROUPS = new Set(['nano']);
+
+const OPEN_BRACKETS = '([{';
+const CLOSE_BRACKETS = ')]}';
+
+const DIGIT_RE = /\d/;
+
+/**
+ * Split on separator characters that are not inside any brackets.
+ * A comma between two digits is part of the token, not a separator:
+ * a decimal comma ("0,5%") or a locant list ("1,2-Hexanediol").
+ */
+function splitTopLevel(text, separators) {
+  const chars = [...text];
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const [index, char] of chars.entries()) {
+    if (OPEN_BRACKETS.includes(char)) depth++;
+    if (CLOSE_BRACKETS.includes(char)) depth = Math.max(0, depth - 1);
+
+    const betweenDigits = char === ','
+      && DIGIT_RE.test(chars[index - 1] || '')
+      && DIGIT_RE.test(chars[index + 1] || '');
+
+    if (depth === 0 && separators.includes(char) && !betweenDigits) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+// Marks where a bracket group was cut out of the surrounding text
+const GROUP_PLACEHOLDER = '\u0000';
+
+/**
+ * Separate top-level bracket groups from the surrounding text.
+ * "Aqua (Water) / Eau" -> { outside: "Aqua \u0000 / Eau", groups: ["Water"] }
+ * Unbalanced brackets (common in OCR text) are closed at the end of the string.
+ */
+function extractGroups(text) {
+  const groups = [];
+  let outside = '';
+  let group = '';
+  let depth = 0;
+
+  for (const char of text) {
+    if (OPEN_BRACKETS.includes(char)) {
+      if (depth > 0) group += char;
+      depth++;
+    } else if (CLOSE_BRACKETS.includes(char)) {
+      if (depth === 0) continue; // stray closing bracket
+      depth--;
+      if (depth === 0) {
+        groups.push(group);
+        group = '';
+        outside += GROUP_PLACEHOLDER;
+      } else {
+        group += char;
+      }
+    } else if (depth > 0) {
+      group += char;
+    } else {
+      outside += char;
+    }
+  }
+  if (group.trim()) groups.push(group);
+
+  return { outside, groups };
+}
+
+function cleanName(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,:;"'*\-–/+]+/, '')
+    .replace(/[\s.,:;"'*\-–/+]+$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Split "Aqua/Water/Eau" or "Aqua / Eau" into names.
+ * An unspaced slash is only a separator when every part is a single word -
+ * otherwise it is part of the INCI name ("Acrylates/C10-30 Alkyl Acrylate Crosspolymer").
+ */
+function splitNames(text) {
+  const trimmed = text.trim();
+  if (!trimmed.includes('/')) return [trimmed];
+
+  if (/\s\/|\/\s/.test(trimmed)) {
+    return trimmed.split(/\s*\/\s*/);
+  }
+
+  const parts = trimmed.split('/');
+  const allSingleWords = parts.every(p => /^[\p{L}-]+$/u.test(p.trim()));
+  return allSingleWords ? parts : [trimmed];
+}
+
+function parseConcentration(text) {
+  const match = text.match(CONCENTRATION_RE);
+  if (!match) return null;
+
+  return {
+    value: parseFloat(match[2].replace(',', '.')),
+    unit: '%',
+    text: match[0].replace(/\s+/g, ''),
+  };
+}
+
+/**
+ * Turn the contents of a bracket group into alias names (recursing into nested groups)
+ */
+function groupAliases(groupText, entry) {
+  const { outside, groups } = extractGroups(groupText);
+  const aliases = [];
+
+  for (const part of splitTopLevel(outside.replaceAll(GROUP_PLACEHOLDER, ' '), ',;')) {
+    // "(2%)" is a concentration, not a name
+    const concentration = parseConcentration(part);
+    if (concentration && !entry.concentration) entry.concentration = concentration;
+    const withoutConcentration = concentration ? part.replace(CONCENTRATION_RE, ' ') : part;
+
+    for (const name of splitNames(withoutConcentration)) {
+      const cleaned = cleanName(name);
+      if (cleaned && !NON_ALIAS_GROUPS.has(cleaned)) aliases.push(cleaned);
+    }
+  }
+
+  for (const nested of groups) {
+    aliases.push(...groupAliases(nested, entry));
+  }
+
+  return aliases;
+}
+
+/**
+ * The items of a compound ingredient's bracket group ("Sugar, Cocoa Butter, Milk"),
+ * or null when the group names at most one thing - a synonym ("Water") or a
+ * concentration ("2%") - and is read as aliases instead
+ */
+function compoundItems(groupText) {
+  const items = splitTopLevel(groupText, ',;');
+  const named = items.filter((item) => {
+    const cleaned = cleanName(item.replace(CONCENTRATION_RE, ' '));
+    return cleaned && !NON_ALIAS_GROUPS.has(cleaned);
+  });
+  return named.length > 1 ? items : null;
+}
+
+/**
+ * Parse one comma-separated label segment into its ingredient entry, followed
+ * by the entries of any sub-ingredients it lists
+ */
+function parseSegment(segment, conditional) {
+  const entry = {
+    name: '',
+    aliases: [],
+    concentration: null,
+    conditional,
+    raw: segment.trim(),
+  };
+
+  const { outside, groups } = extractGroups(segment);
+
+  const concentration = parseConcentration(outside.replaceAll(GROUP_PLACEHOLDER, ' '));
+  if (concentration) entry.concentration = concentration;
+  const withoutConcentration = concentration ? outside.replace(CONCENTRATION_RE, ' ') : outside;
+
+  // Keep label order: names before a group, the group's aliases, names after it
+  const names = [];
+  const subIngredients = [];
+  for (const [index, part] of withoutConcentration.split(GROUP_PLACEHOLDER).entries()) {
+    names.push(...splitNames(part).map(cleanName).filter(Boolean));
+    if (index >= groups.length) continue;
+
+    const items = compoundItems(groups[index]);
+    if (!items) {
+      names.push(...groupAliases(groups[index], entry));
+      continue;
+    }
+    for (const item of items) {
+      const itemEntries = parseSegment(item, conditional);
+      // "(Sugar, Milk, 5%)": a bare concentration belongs to the compound
+      if (!itemEntries[0].name && itemEntries[0].concentration && !entry.concentration) {
+        entry.concentration = itemEntries[0].concentration;
+      }
+      subIngredients.push(...itemEntries);
+    }
+  }
+
+  entry.name = names[0] || '';
+  entry.aliases = [...new Set(names.slice(1))].filter(alias => alias !== entry.name);
+
+  return [entry, ...subIngredients];
+}
+
+/**
+ * Expand a "may contain" segment into its listed ingredients.
+ * Handles "May contain [+/-: CI 77491, CI 77492]", "[+/- CI 77491, CI 77492]",
+ * "May contain (+/-): CI 77491" and "+/- CI 77491".
+ * @returns {{items: string[], closed: boolean}|null} - Listed segments and whether the list was
+ *   bracketed (so it ends with this segment), or null when this isn't a "may contain" segment
+ */
+function expandMayContain(segment) {
+  let text = segment.trim();
+  if (!MAY_CONTAIN_RE.test(text) && !/^[[(]\s*\+\s*\/\s*-/.test(text)) {
+    return null;
+  }
+
+  text = text.replace(MAY_CONTAIN_RE, '');
+  // A bracketed "(+/-):" marker on its own
+  text = text.replace(/^[[(]\s*\+\s*\/\s*-\s*[\])]\s*[:\-–]?\s*/, '');
+
+  // Drop the outer bracket pair and any "+/-" just inside it
+  const closed = /^[[(]/.test(text);
+  if (closed) {
+    text = text.slice(1).replace(/[\])]\s*$/, '').replace(MAY_CONTAIN_RE, '');
+  }
+
+  return { items: splitTopLevel(text, ',;'), closed };
+}
+
+/**
+ * Tokenize label ingredient text into structured ingredient entries.
+ * Preserves label order and merges duplicates (first occurrence wins).
+ *
+ * @param {string} text - Ingredient text
+ * @returns {Array<{name: string, aliases: string[], concentration: Object|null, conditional: boolean, raw: string}>}
+ */
+function tokenizeIngredients(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  // Remove leading "INGREDIENTS:" label, join lines, collapse spaces
+  let cleaned = text.replace(INGREDIENTS_LABEL_RE, '');
+  cleaned = cleaned.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+  // A final full stop ends the list
+  cleaned = cleaned.replace(/[.:;]+$/, '');
+  // Start "may contain" lists as their own segment
+  cleaned = cleaned.replace(MAY_CONTAIN_BOUNDARY_RE, ', ');
+
+  const entries = [];
+  const byName = new Map();
+  // Unbracketed "May contain: A, B" lists run to the end of the label
+  let inMayContain = false;
+
+  const addEntry = (entry) => {
+    if (entry.name.length < 2) return;
+
+    const existing = byName.get(entry.name);
+    if (existing) {
+      for (const alias of entry.aliases) {
+        if (!existing.aliases.includes(alias)) existing.aliases.push(alias);
+      }
+      return;
+    }
+
+    byName.set(entry.name, entry);
+    entries.push(entry);
+  };
+
+  for (const segment of splitTopLevel(cleaned, ',;')) {
+    if (!segment.trim()) continue;
+
+    const listed = expandMayContain(segment);
+    if (listed) {
+      // Bracketed lists close themselves; bare ones continue into later segments
+      if (!listed.closed) inMayContain = true;
+      for (const item of listed.items) {
+        parseSegment(item, true).forEach(addEntry);
+      }
+      continue;
+    }
+
+    parseSegment(segment, inMayContain).forEach(addEntry);
+  }
+
+  return entries;
+}
+
+module.exports = {
+  tokenizeIngredients,
+  INGREDIENTS_LABEL_RE,
+};
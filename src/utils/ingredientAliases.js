@@ -0,0 +1,74 @@
+/**
+ * Ingredient alias helpers for the ingredient_aliases table.
+ *
+ * Alias types:
+ * - inci:     INCI name
+ * - common:   common / everyday name (default)
+ * - trade:    trade or brand name
+ * - cas:      CAS registry number, e.g. "56-81-5"
+ * - e_number: food additive E-number, e.g. "E422"
+ */
+
+const ALIAS_TYPES = ['inci', 'common', 'trade', 'cas', 'e_number'];
+
+const CAS_RE = /^\d{2,7}-\d{2}-\d$/;
+const E_NUMBER_RE = /^e ?\d{3,4}[a-z]?$/i;
+const TRADE_MARK_RE = /[®™]/;
+
+/**
+ * Guess an alias type from its shape. Only CAS numbers, E-numbers and
+ * marked trade names can be told apart; everything else is "common".
+ * Mirrors the CASE in migrations/005_create_ingredient_aliases.sql.
+ * @param {string} alias
+ * @returns {string} - One of ALIAS_TYPES
+ */
+function guessAliasType(alias) {
+  const value = String(alias || '').trim();
+  if (CAS_RE.test(value)) return 'cas';
+  if (E_NUMBER_RE.test(value)) return 'e_number';
+  if (TRADE_MARK_RE.test(value)) return 'trade';
+  return 'common';
+}
+
+/**
+ * Parse dataset aliases into typed alias rows.
+ * Accepts a comma-separated string ("methylparaben, E218"), an array of strings,
+ * or an array of { alias, type } objects. Unknown or missing types are guessed.
+ * Duplicates (case-insensitive) are dropped, first one wins.
+ *
+ * @param {string|Array<string|Object>} value
+ * @returns {Array<{alias: string, type: string}>}
+ */
+function parseAliases(value) {
+  let items;
+  if (Array.isArray(value)) {
+    items = value;
+  } else if (typeof value === 'string') {
+    items = value.split(',');
+  } else {
+    return [];
+  }
+
+  const aliases = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const alias = String((item && typeof item === 'object' ? item.alias : item) || '').trim();
+    if (!alias || seen.has(alias.toLowerCase())) continue;
+
+    const requestedType = item && typeof item === 'object' ? String(item.type || '').toLowerCase() : '';
+    seen.add(alias.toLowerCase());
+    aliases.push({
+      alias,
+      type: ALIAS_TYPES.includes(requestedType) ? requestedType : guessAliasType(alias),
+    });
+  }
+
+  return aliases;
+}
+
+module.exports = {
+  ALIAS_TYPES,
+  guessAliasType,
+  parseAliases,
+};
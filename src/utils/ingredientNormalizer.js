@@ -51,3 +51,26 @@ module.exports = function normalizeIngredients(text) {
   }
   return out;
 };
+
+// British spellings folded to American ones for matching
+const SPELLING_VARIANTS = [
+  ['sulph', 'sulf'],
+  ['colour', 'color'],
+  ['flavour', 'flavor'],
+  ['aluminium', 'aluminum'],
+];
+
+/**
+ * Normalize an ingredient name for variant-insensitive matching:
+ * lowercase, British/American spellings folded, hyphens, spaces and
+ * punctuation dropped. Mirrors the normalize_ingredient_name() SQL function.
+ * @param {string} name
+ * @returns {string}
+ */
+module.exports.normalizeIngredientName = function normalizeIngredientName(name) {
+  let normalized = String(name || '').toLowerCase();
+  for (const [from, to] of SPELLING_VARIANTS) {
+    normalized = normalized.split(from).join(to);
+  }
+  return normalized.replace(/[^a-z0-9]+/g, '');
+};
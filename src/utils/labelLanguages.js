@@ -0,0 +1,160 @@
+/**
+ * Label languages supported by OCR and ingredient section extraction.
+ *
+ * Per language:
+ * - ocrSpace / tesseract: language codes for each OCR engine
+ *   (OCR.Space has no Afrikaans model; its engine 2 "auto" mode handles it)
+ * - startMarkers: headings that open the ingredient list
+ * - stopMarkers: headings of sections that usually follow the ingredient list
+ * - commonWords: frequent label words, used for language detection
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    ocrSpace: 'eng',
+    tesseract: 'eng',
+    startMarkers: ['ingredients', 'ingredient:', 'ingredients:'],
+    stopMarkers: [
+      'refrigerate',
+      'storage',
+      'keep refrigerated',
+      'after opening',
+      'packed for',
+      'distributed by',
+      'manufactured',
+      'net wt',
+      'best by',
+      'expiry',
+      'exp',
+      'warning',
+      'caution',
+      'directions',
+      'how to use'
+    ],
+    commonWords: ['and', 'the', 'for', 'with', 'use', 'skin', 'water', 'apply', 'avoid', 'eyes', 'only', 'contains', 'made', 'in']
+  },
+  fr: {
+    name: 'French',
+    ocrSpace: 'fre',
+    tesseract: 'fra',
+    startMarkers: ['ingrédients', 'ingredients', 'composition'],
+    stopMarkers: [
+      "mode d'emploi",
+      'précautions',
+      "précautions d'emploi",
+      'conserver',
+      'à conserver',
+      'fabriqué',
+      'distribué par',
+      'poids net',
+      'à consommer',
+      'attention',
+      'avertissement',
+      'utilisation'
+    ],
+    commonWords: ['et', 'le', 'la', 'les', 'des', 'du', 'pour', 'avec', 'peau', 'eau', 'appliquer', 'éviter', 'yeux', 'contient', 'sur']
+  },
+  pt: {
+    name: 'Portuguese',
+    ocrSpace: 'por',
+    tesseract: 'por',
+    startMarkers: ['ingredientes', 'composição'],
+    stopMarkers: [
+      'modo de uso',
+      'modo de usar',
+      'precauções',
+      'advertências',
+      'conservar',
+      'fabricado',
+      'distribuído por',
+      'peso líquido',
+      'validade',
+      'atenção'
+    ],
+    commonWords: ['e', 'de', 'da', 'do', 'para', 'com', 'pele', 'água', 'aplicar', 'evitar', 'olhos', 'não', 'contém', 'uso']
+  },
+  es: {
+    name: 'Spanish',
+    ocrSpace: 'spa',
+    tesseract: 'spa',
+    startMarkers: ['ingredientes', 'composición'],
+    stopMarkers: [
+      'modo de empleo',
+      'modo de uso',
+      'precauciones',
+      'advertencias',
+      'conservar',
+      'fabricado',
+      'distribuido por',
+      'peso neto',
+      'caducidad',
+      'atención'
+    ],
+    commonWords: ['y', 'de', 'del', 'la', 'el', 'para', 'con', 'piel', 'agua', 'aplicar', 'evitar', 'ojos', 'no', 'contiene']
+  },
+  de: {
+    name: 'German',
+    ocrSpace: 'ger',
+    tesseract: 'deu',
+    startMarkers: ['inhaltsstoffe', 'zutaten', 'bestandteile'],
+    stopMarkers: [
+      'anwendung',
+      'gebrauchsanweisung',
+      'warnhinweis',
+      'achtung',
+      'hergestellt',
+      'vertrieb',
+      'nettogewicht',
+      'mindestens haltbar',
+      'aufbewahren',
+      'lagerung'
+    ],
+    commonWords: ['und', 'der', 'die', 'das', 'mit', 'für', 'haut', 'wasser', 'auftragen', 'vermeiden', 'augen', 'nicht', 'enthält']
+  },
+  af: {
+    name: 'Afrikaans',
+    ocrSpace: 'auto',
+    tesseract: 'afr',
+    startMarkers: ['bestanddele'],
+    stopMarkers: [
+      'gebruiksaanwysings',
+      'aanwysings',
+      'waarskuwing',
+      'versigtig',
+      'vervaardig',
+      'versprei deur',
+      'netto massa',
+      'berg op',
+      'gebruik voor'
+    ],
+    commonWords: ['en', 'die', 'van', 'vir', 'met', 'vel', 'water', 'aanwend', 'vermy', 'oë', 'nie', 'bevat', 'gebruik']
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Check whether a language code is supported
+ * @param {string} code - ISO 639-1 code (en, fr, pt, es, de, af)
+ */
+function isSupportedLanguage(code) {
+  return SUPPORTED_LANGUAGES.includes(code);
+}
+
+/**
+ * Every start marker of every language, longest first
+ * (so "ingredients:" wins over "ingredient")
+ */
+function getAllStartMarkers() {
+  const markers = new Set(SUPPORTED_LANGUAGES.flatMap(code => LANGUAGES[code].startMarkers));
+  return [...markers].sort((a, b) => b.length - a.length);
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  getAllStartMarkers,
+};
@@ -0,0 +1,204 @@
+const { similarity } = require('./stringSimilarity');
+const { normalizeIngredientName } = require('./ingredientNormalizer');
+
+/**
+ * Repair OCR misreads in ingredient tokens against a known vocabulary.
+ *
+ * Tried in order, stopping at the first unambiguous hit:
+ * 1. rejoin      - same letters/digits once spaces and hyphens are ignored
+ *                  ("glyc erin", "glyc- erin" from a line-break hyphen)
+ * 2. confusion   - same after folding common OCR confusions (rn/m, 0/o, 1/l, ...)
+ * 3. edit-distance - closest vocabulary term above a similarity threshold whose
+ *                  only differences are OCR look-alike substitutions (c/e, u/v, ...),
+ *                  so a different, correctly spelled ingredient
+ *                  (ethylparaben vs methylparaben) is never taken for a misread
+ *
+ * Spelling variants of a known term (sulphate/sulfate) are not OCR errors and
+ * are left alone - dataset matching already treats them as the same name.
+ */
+
+const METHOD_CONFIDENCE = {
+  rejoin: 0.95,
+  confusion: 0.9,
+};
+
+// Character sequences OCR engines commonly mix up, folded to one form.
+// Applied to both the token and the vocabulary, so the direction doesn't matter.
+const CONFUSION_SEQUENCES = [
+  ['rn', 'm'],
+  ['vv', 'w'],
+  ['cl', 'd'],
+];
+const CONFUSION_CHARS = {
+  '0': 'o',
+  '1': 'l',
+  'i': 'l',
+  '|': 'l',
+  '!': 'l',
+  '5': 's',
+  '8': 'b',
+};
+
+// Look-alike letters OCR swaps, too common to fold globally like CONFUSION_CHARS:
+// only accepted as single substitutions inside an edit-distance correction
+const LOOKALIKE_PAIRS = new Set([
+  ['c', 'e'], ['e', 'o'], ['a', 'o'], ['c', 'o'], ['a', 'e'],
+  ['u', 'v'], ['n', 'h'], ['b', 'h'], ['f', 't'], ['g', 'q'],
+  ['n', 'u'], ['v', 'y'], ['k', 'x'],
+].flatMap(([a, b]) => [a + b, b + a]));
+
+// Letters and digits only, lowercased
+function compact(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}|!]+/gu, '');
+}
+
+function confusionKey(text) {
+  let key = compact(text);
+  for (const [from, to] of CONFUSION_SEQUENCES) {
+    key = key.split(from).join(to);
+  }
+  return [...key].map(char => CONFUSION_CHARS[char] || char).join('');
+}
+
+// Whether token and term differ only by look-alike substitutions (no inserted or dropped letters)
+function lookalikeOnly(token, term) {
+  const a = confusionKey(token);
+  const b = confusionKey(term);
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i] && !LOOKALIKE_PAIRS.has(a[i] + b[i])) return false;
+  }
+  return true;
+}
+
+function digitsOf(text) {
+  return String(text).replace(/\D+/g, '');
+}
+
+function addToIndex(map, key, term) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(term);
+}
+
+// The single term stored under key, or null when missing or ambiguous
+function uniqueTerm(map, key) {
+  const terms = map.get(key);
+  return terms && terms.size === 1 ? [...terms][0] : null;
+}
+
+/**
+ * Build a lookup index over vocabulary terms
+ * @param {Iterable<string>} terms - Known ingredient names and aliases
+ * @returns {Object} - Index for correctToken
+ */
+function createVocabularyIndex(terms) {
+  const index = {
+    terms: new Set(),
+    byCompact: new Map(),
+    variants: new Set(),
+    byKey: new Map(),
+    byLength: new Map(),
+  };
+
+  for (const raw of terms) {
+    const term = String(raw || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (term.length < 2 || index.terms.has(term)) continue;
+
+    index.terms.add(term);
+    addToIndex(index.byCompact, compact(term), term);
+    index.variants.add(normalizeIngredientName(term));
+    addToIndex(index.byKey, confusionKey(term), term);
+
+    if (!index.byLength.has(term.length)) index.byLength.set(term.length, []);
+    index.byLength.get(term.length).push(term);
+  }
+
+  return index;
+}
+
+/**
+ * Closest vocabulary term by edit distance, or null when none is close enough,
+ * two different terms are equally close, or the edits aren't OCR look-alikes
+ */
+function closestTerm(token, index, minSimilarity) {
+  const maxEdits = Math.floor(token.length * (1 - minSimilarity));
+  let best = null;
+  let bestScore = 0;
+  let tied = false;
+
+  for (let length = token.length - maxEdits; length <= token.length + maxEdits; length++) {
+    for (const term of index.byLength.get(length) || []) {
+      // Digits identify CI colours, E-numbers and PEG lengths - never guess them
+      if (digitsOf(term) !== digitsOf(token)) continue;
+      if (!lookalikeOnly(token, term)) continue;
+
+      const score = similarity(token, term);
+      if (score > bestScore) {
+        best = term;
+        bestScore = score;
+        tied = false;
+      } else if (score === bestScore && term !== best) {
+        tied = true;
+      }
+    }
+  }
+
+  if (!best || tied || bestScore < minSimilarity) return null;
+  return { term: best, score: bestScore };
+}
+
+/**
+ * Correct a single token against the vocabulary
+ *
+ * @param {string} token - Lowercased ingredient token
+ * @param {Object} index - From createVocabularyIndex
+ * @param {Object} options
+ * @param {number} [options.minSimilarity=0.85] - Minimum similarity for edit-distance corrections
+ * @param {number} [options.minLength=5] - Shorter tokens are only corrected by rejoin/confusion
+ * @returns {{corrected: string, confidence: number, method: string}|null} - null when the token
+ *   is already known or no confident correction exists
+ */
+function correctToken(token, index, options = {}) {
+  const { minSimilarity = 0.85, minLength = 5 } = options;
+  const normalized = String(token || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+  if (!normalized || index.terms.has(normalized)) {
+    return null;
+  }
+
+  // Spelling variant of a known term, not a misread
+  if (!index.byCompact.has(compact(normalized)) && index.variants.has(normalizeIngredientName(normalized))) {
+    return null;
+  }
+
+  const rejoined = uniqueTerm(index.byCompact, compact(normalized));
+  if (rejoined) {
+    return { corrected: rejoined, confidence: METHOD_CONFIDENCE.rejoin, method: 'rejoin' };
+  }
+
+  const unconfused = uniqueTerm(index.byKey, confusionKey(normalized));
+  if (unconfused) {
+    return { corrected: unconfused, confidence: METHOD_CONFIDENCE.confusion, method: 'confusion' };
+  }
+
+  if (normalized.length < minLength) {
+    return null;
+  }
+
+  const closest = closestTerm(normalized, index, minSimilarity);
+  if (closest) {
+    return {
+      corrected: closest.term,
+      confidence: Math.round(closest.score * 100) / 100,
+      method: 'edit-distance',
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  createVocabularyIndex,
+  correctToken,
+};
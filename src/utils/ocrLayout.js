@@ -0,0 +1,125 @@
+/**
+ * Helpers for OCR layout data.
+ *
+ * Every OCR engine returns lines in the same shape:
+ *   [{ text, confidence, box, words: [{ text, confidence, box }] }]
+ * where box is { x, y, width, height } in image pixels and
+ * confidence is 0-1 (null when the engine doesn't report one).
+ */
+
+/**
+ * Smallest box containing all the given boxes
+ * @param {Object[]} boxes - Array of { x, y, width, height }
+ * @returns {Object|null} - Union box, or null for an empty list
+ */
+function unionBoxes(boxes) {
+  const valid = (boxes || []).filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const x0 = Math.min(...valid.map(b => b.x));
+  const y0 = Math.min(...valid.map(b => b.y));
+  const x1 = Math.max(...valid.map(b => b.x + b.width));
+  const y1 = Math.max(...valid.map(b => b.y + b.height));
+
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+function scaleBox(box, factor) {
+  if (!box) return box;
+  return {
+    x: Math.round(box.x * factor),
+    y: Math.round(box.y * factor),
+    width: Math.round(box.width * factor),
+    height: Math.round(box.height * factor),
+  };
+}
+
+/**
+ * Scale all line and word boxes, e.g. back to the original image size
+ * after the image was downscaled for OCR.
+ * @param {Object[]} lines - OCR lines
+ * @param {number} factor - Multiplier for every coordinate
+ * @returns {Object[]} - New lines with scaled boxes
+ */
+function scaleLines(lines, factor) {
+  if (!Array.isArray(lines)) return [];
+  if (!factor || factor === 1) return lines;
+
+  return lines.map(line => ({
+    ...line,
+    box: scaleBox(line.box, factor),
+    words: (line.words || []).map(word => ({ ...word, box: scaleBox(word.box, factor) })),
+  }));
+}
+
+// Letters and digits only, so "Glycerin," and "glyc-" + "erin" compare equal
+function toKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Find the run of consecutive words starting at `start` whose letters spell `key`
+ * @returns {number} - Index after the last word of the run, or -1
+ */
+function matchRunAt(words, start, key) {
+  let joined = '';
+  for (let i = start; i < words.length; i++) {
+    joined += words[i].key;
+    if (joined === key) return i + 1;
+    if (!key.startsWith(joined)) return -1;
+  }
+  return -1;
+}
+
+/**
+ * Locate each ingredient token among the OCR words.
+ * Tokens are searched in order, so repeated words map to successive
+ * occurrences on the label; a token that only appears earlier is still found.
+ *
+ * @param {string[]} tokens - Ingredient tokens in label order
+ * @param {Object[]} lines - OCR lines
+ * @returns {Array<{boxes: Object[], minConfidence: number|null}>} - One entry per token
+ */
+function locateTokens(tokens, lines) {
+  const words = [];
+  for (const line of lines || []) {
+    for (const word of line.words || []) {
+      const key = toKey(word.text);
+      if (key) words.push({ ...word, key });
+    }
+  }
+
+  let cursor = 0;
+
+  return tokens.map(token => {
+    const key = toKey(token);
+    const empty = { boxes: [], minConfidence: null };
+    if (!key) return empty;
+
+    const search = (from, to) => {
+      for (let i = from; i < to; i++) {
+        const end = matchRunAt(words, i, key);
+        if (end !== -1) return { start: i, end };
+      }
+      return null;
+    };
+
+    const run = search(cursor, words.length) || search(0, cursor);
+    if (!run) return empty;
+
+    cursor = run.end;
+    const matched = words.slice(run.start, run.end);
+    const confidences = matched.map(w => w.confidence).filter(c => typeof c === 'number');
+
+    return {
+      boxes: matched.map(w => w.box),
+      minConfidence: confidences.length ? Math.min(...confidences) : null,
+    };
+  });
+}
+
+module.exports = {
+  unionBoxes,
+  scaleLines,
+  locateTokens,
+};
@@ -0,0 +1,107 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards for outbound requests to client-supplied URLs (scan job webhooks):
+ * only public addresses may be contacted, never loopback, private-network,
+ * link-local (incl. cloud metadata at 169.254.169.254) or other reserved ranges.
+ */
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // documentation
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // documentation
+  ['203.0.113.0', 24],   // documentation
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4],      // reserved, broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['64:ff9b::', 96],     // NAT64 (embeds IPv4)
+  ['100::', 64],         // discard
+  ['2001:db8::', 32],    // documentation
+  ['fc00::', 7],         // unique local, incl. AWS metadata fd00:ec2::254
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8],         // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+// Metadata endpoints reachable by name on some clouds
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal'];
+
+const IPV4_MAPPED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const mapped = IPV4_MAPPED.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a hostname and check every address it resolves to
+ * @param {string} hostname - Host name or IP literal (IPv6 with or without brackets)
+ * @returns {Promise<string|null>} - Reason the host is refused, or null when all its addresses are public
+ */
+async function checkPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (BLOCKED_HOSTNAMES.includes(host) || host.endsWith('.localhost')) {
+    return `${host} is not a public host`;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `${host} could not be resolved`;
+  }
+
+  const refused = addresses.find(({ address }) => !isPublicAddress(address));
+  if (refused) {
+    return `${host} resolves to a non-public address (${refused.address})`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup replacement for http(s).Agent that fails connections to non-public
+ * addresses, so the address actually connected to is the one that was checked
+ * (a host can't pass checkPublicHost and then re-resolve somewhere internal)
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(({ address }) => !isPublicAddress(address));
+    if (refused) {
+      const blockedError = new Error(`${hostname} resolves to a non-public address (${refused.address})`);
+      blockedError.code = 'EADDRNOTPUBLIC';
+      return callback(blockedError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  checkPublicHost,
+  publicOnlyLookup,
+};
@@ -0,0 +1,131 @@
+const { similarity } = require('./stringSimilarity');
+
+/**
+ * Stitch OCR text from several photos of the same label into one text.
+ * Photos of a wrapped label usually repeat a few lines at the edges, so
+ * each photo's leading lines are compared with the previous photo's
+ * trailing lines and the repeated part is dropped.
+ */
+
+// Lines that differ only by a few OCR misreads still count as the same line
+const MIN_LINE_SIMILARITY = 0.85;
+// Ignore overlaps too short to be meaningful (e.g. a lone "aqua")
+const MIN_OVERLAP_CHARS = 8;
+// Fallback when the overlap starts mid-line: minimum repeated words
+const MIN_WORD_OVERLAP = 2;
+const MAX_WORD_OVERLAP = 30;
+
+// Letters and digits only, lowercased
+function toKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function linesMatch(a, b) {
+  if (!a || !b) return false;
+  return a === b || similarity(a, b) >= MIN_LINE_SIMILARITY;
+}
+
+/**
+ * Number of trailing lines of `prev` repeated at the start of `next`
+ */
+function findLineOverlap(prevLines, nextLines) {
+  const prevKeys = prevLines.map(toKey);
+  const nextKeys = nextLines.map(toKey);
+
+  for (let size = Math.min(prevKeys.length, nextKeys.length); size > 0; size--) {
+    const tail = prevKeys.slice(prevKeys.length - size);
+    const head = nextKeys.slice(0, size);
+
+    if (tail.join('').length < MIN_OVERLAP_CHARS) continue;
+    if (tail.every((key, i) => linesMatch(key, head[i]))) {
+      return size;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Number of trailing words of `prev` repeated at the start of `next`
+ */
+function findWordOverlap(prevText, nextText) {
+  const prevKeys = prevText.split(/\s+/).map(toKey).filter(Boolean).slice(-MAX_WORD_OVERLAP);
+  const nextKeys = nextText.split(/\s+/).map(toKey).filter(Boolean).slice(0, MAX_WORD_OVERLAP);
+
+  for (let size = Math.min(prevKeys.length, nextKeys.length); size >= MIN_WORD_OVERLAP; size--) {
+    const tail = prevKeys.slice(prevKeys.length - size);
+    const head = nextKeys.slice(0, size);
+
+    if (tail.join('').length < MIN_OVERLAP_CHARS) continue;
+    if (tail.every((key, i) => key === head[i])) {
+      return size;
+    }
+  }
+
+  return 0;
+}
+
+// Drop the last `count` words of text, keeping the rest of its layout
+function dropTrailingWords(text, count) {
+  const parts = text.trim().split(/(\s+)/);
+  let dropped = 0;
+  let index = parts.length;
+
+  while (index > 0 && dropped < count) {
+    index--;
+    if (toKey(parts[index])) dropped++;
+  }
+
+  return parts.slice(0, index).join('').trim();
+}
+
+function splitLines(text) {
+  return String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+}
+
+/**
+ * Stitch several OCR texts together, removing overlapping lines.
+ *
+ * @param {string[]} texts - OCR text of each photo, in capture order
+ * @returns {{text: string, overlaps: Array<{type: string, size: number}>}} - Merged text and,
+ *   for each photo, how much of its start was dropped as overlap ("lines", "words" or "none")
+ */
+function stitchOcrTexts(texts) {
+  const overlaps = [];
+  let mergedLines = [];
+
+  for (const [index, text] of texts.entries()) {
+    const lines = splitLines(text);
+
+    if (index === 0 || mergedLines.length === 0) {
+      mergedLines = [...lines];
+      overlaps.push({ type: 'none', size: 0 });
+      continue;
+    }
+
+    // Keep the newer photo's copy of repeated lines/words: the older photo
+    // cut them off at its edge, so they often lost trailing punctuation
+    const lineOverlap = findLineOverlap(mergedLines, lines);
+    if (lineOverlap > 0) {
+      mergedLines = [...mergedLines.slice(0, mergedLines.length - lineOverlap), ...lines];
+      overlaps.push({ type: 'lines', size: lineOverlap });
+      continue;
+    }
+
+    const joined = lines.join('\n');
+    const wordOverlap = findWordOverlap(mergedLines.join('\n'), joined);
+    if (wordOverlap > 0) {
+      const kept = dropTrailingWords(mergedLines.join('\n'), wordOverlap);
+      mergedLines = splitLines(kept ? `${kept} ${joined}` : joined);
+      overlaps.push({ type: 'words', size: wordOverlap });
+      continue;
+    }
+
+    mergedLines.push(...lines);
+    overlaps.push({ type: 'none', size: 0 });
+  }
+
+  return { text: mergedLines.join('\n'), overlaps };
+}
+
+module.exports = { stitchOcrTexts };
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateDatasetRows } = require('../src/utils/datasetSchema');
+
+const row = (line, ingredient_name, aliases = '') => ({
+  line,
+  data: { ingredient_name, risk_level: 'LOW', reason: 'Test row', aliases },
+});
+
+const current = new Map([
+  ['Aqua', { riskLevel: 'LOW', reason: 'Solvent', aliases: [{ alias: 'Water', type: 'synonym' }] }],
+  ['Parfum', { riskLevel: 'MEDIUM', reason: 'Allergen', aliases: [{ alias: 'Fragrance', type: 'synonym' }] }],
+]);
+
+const errors = (rows, dataset) => validateDatasetRows(rows, dataset).map(result => result.error);
+
+test('rejects names and aliases that clash with other ingredients in the current dataset', () => {
+  assert.deepStrictEqual(errors([
+    row(2, 'Eau', 'water'),
+    row(3, 'Glycerin', 'aqua'),
+    row(4, 'Fragrance'),
+  ], current), [
+    'Alias "water" already belongs to "Aqua" in the dataset',
+    'Alias "aqua" is the name of ingredient "Aqua" in the dataset',
+    'ingredient_name "Fragrance" is already an alias of "Parfum" in the dataset',
+  ]);
+});
+
+test('allows taking over the aliases of an ingredient the source also lists', () => {
+  assert.deepStrictEqual(errors([
+    row(2, 'Parfum', 'Perfume'),
+    row(3, 'Fragrance'),
+  ], current), [null, null]);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { tokenizeIngredients } = require('../src/utils/inciTokenizer');
+
+const summarize = text => tokenizeIngredients(text).map(entry => ({
+  name: entry.name,
+  aliases: entry.aliases,
+  concentration: entry.concentration && entry.concentration.value,
+}));
+
+test('splits a label on top-level commas and semicolons', () => {
+  assert.deepStrictEqual(
+    tokenizeIngredients('Ingredients: Aqua (Water), Glycerin; Niacinamide.').map(e => e.name),
+    ['aqua', 'glycerin', 'niacinamide']
+  );
+});
+
+test('keeps a decimal comma in a concentration', () => {
+  assert.deepStrictEqual(summarize('Tocopherol 0,5%'), [
+    { name: 'tocopherol', aliases: [], concentration: 0.5 },
+  ]);
+});
+
+test('keeps a decimal comma in a bracketed concentration', () => {
+  assert.deepStrictEqual(summarize('Salicylic Acid (0,5 %)'), [
+    { name: 'salicylic acid', aliases: [], concentration: 0.5 },
+  ]);
+});
+
+test('reads a single-name group as a synonym', () => {
+  assert.deepStrictEqual(summarize('Aqua (Water), Parfum (Fragrance)'), [
+    { name: 'aqua', aliases: ['water'], concentration: null },
+    { name: 'parfum', aliases: ['fragrance'], concentration: null },
+  ]);
+});
+
+test('splits a compound ingredient into its sub-ingredients', () => {
+  assert.deepStrictEqual(summarize('Chocolate (Sugar, Cocoa Butter, Milk), Salt'), [
+    { name: 'chocolate', aliases: [], concentration: null },
+    { name: 'sugar', aliases: [], concentration: null },
+    { name: 'cocoa butter', aliases: [], concentration: null },
+    { name: 'milk', aliases: [], concentration: null },
+    { name: 'salt', aliases: [], concentration: null },
+  ]);
+});
+
+test('keeps locant commas in a name', () => {
+  assert.deepStrictEqual(summarize('Aqua, 1,2-Hexanediol, Glycerin'), [
+    { name: 'aqua', aliases: [], concentration: null },
+    { name: '1,2-hexanediol', aliases: [], concentration: null },
+    { name: 'glycerin', aliases: [], concentration: null },
+  ]);
+});
+
+test('still splits a comma that follows a concentration', () => {
+  assert.deepStrictEqual(summarize('Niacinamide 5%, 2-Phenoxyethanol'), [
+    { name: 'niacinamide', aliases: [], concentration: 5 },
+    { name: '2-phenoxyethanol', aliases: [], concentration: null },
+  ]);
+});
+
+test('still splits numbered colourants', () => {
+  assert.deepStrictEqual(
+    tokenizeIngredients('May contain: CI 77491, CI 77492').map(e => [e.name, e.conditional]),
+    [['ci 77491', true], ['ci 77492', true]]
+  );
+});
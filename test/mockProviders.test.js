@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// The scan pipeline runs against the stub server only: no database (connections
+// to port 1 fail at once and count as "unavailable"), no real AI or OCR.Space
+delete process.env.DATABASE_URL;
+process.env.PGHOST = '127.0.0.1';
+process.env.PGPORT = '1';
+process.env.AI_PROVIDER = 'openai';
+process.env.AI_API_KEY = 'test';
+process.env.OCR_SPACE_API_KEY = 'test';
+delete process.env.AI_MOCK_FIXTURE;
+delete process.env.OCR_MOCK_FIXTURE;
+
+const db = require('../src/db');
+const { createMockProviderApp } = require('../scripts/mock_provider_server');
+const { runTextScan } = require('../src/services/scanPipeline.service');
+const ocrSpace = require('../src/services/ocrEngines/ocrSpace.engine');
+const mockOcr = require('../src/services/ocrEngines/mock.engine');
+const { getCachedClassifications, storeClassifications } = require('../src/services/aiCache.service');
+
+let server;
+
+before(async () => {
+  server = createMockProviderApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.AI_BASE_URL = `${baseUrl}/v1`;
+  process.env.OCR_SPACE_API_URL = `${baseUrl}/parse/image`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.pool.end();
+});
+
+test('runTextScan returns the fixture verdicts from the stub OpenAI endpoint', async () => {
+  const result = await runTextScan({
+    text: 'Ingredients: Aqua, Glycerin, Parfum, Hydroquinone',
+  });
+
+  assert.strictEqual(result.risk_level, 'HIGH');
+  assert.deepStrictEqual(
+    result.ingredients.map(ingredient => [ingredient.name, ingredient.status, ingredient.source]),
+    [
+      ['aqua', 'Safe', 'ai'],
+      ['glycerin', 'Safe', 'ai'],
+      ['parfum', 'Risky', 'ai'],
+      ['hydroquinone', 'Restricted', 'ai'],
+    ]
+  );
+});
+
+test('the OCR.Space adapter reads the fixture default from the stub server', async () => {
+  const result = await ocrSpace.recognize(Buffer.from('not a fixture image'));
+
+  assert.match(result.text, /^FACE CREAM\nIngredients: Aqua, Glycerin/);
+});
+
+test('the mock OCR engine matches fixtures by filename and falls back to the default', () => {
+  assert.match(mockOcr.lookup(Buffer.from('x'), { filename: 'uploads/Shampoo.JPG' }).text, /^SHAMPOO/);
+  assert.strictEqual(mockOcr.lookup(Buffer.from('x'), { filename: 'blank.jpg' }).text, '');
+  assert.match(mockOcr.lookup(Buffer.from('unknown')).text, /^FACE CREAM/);
+});
+
+test('the mock AI provider never reads or writes the classification cache', async (t) => {
+  process.env.AI_PROVIDER = 'mock';
+  t.after(() => { process.env.AI_PROVIDER = 'openai'; });
+  const query = t.mock.method(db.pool, 'query');
+
+  const hits = await getCachedClassifications(['Aqua']);
+  const stored = await storeClassifications([{ name: 'Mystery Extract', status: 'Safe', confidence: 0.3 }]);
+
+  assert.strictEqual(hits.size, 0);
+  assert.strictEqual(stored, 0);
+  assert.strictEqual(query.mock.callCount(), 0);
+});